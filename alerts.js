@@ -0,0 +1,198 @@
+// Rule-based detection alerts
+// Rules are evaluated against the tracked detections of every frame:
+//   count  - "class = person, count >= 2, held for 3 s"
+//   appear - "new dog appears" (a track of that class is born)
+class AlertEngine {
+    constructor(options = {}) {
+        this.maxHistory = options.maxHistory ?? 50;
+        this.rules = [];
+        this.history = [];
+        this.nextRuleId = 1;
+        this.reset();
+    }
+    
+    addRule(rule) {
+        const normalized = {
+            id: this.nextRuleId++,
+            type: rule.type === 'appear' ? 'appear' : 'count',
+            className: rule.className || '*',
+            minCount: Math.max(1, parseInt(rule.minCount, 10) || 1),
+            holdSeconds: Math.max(0, parseFloat(rule.holdSeconds) || 0),
+            cooldownSeconds: Math.max(0, parseFloat(rule.cooldownSeconds) || 0),
+            enabled: rule.enabled !== false
+        };
+        
+        this.rules.push(normalized);
+        return normalized;
+    }
+    
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.ruleState.delete(id);
+    }
+    
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.find(rule => rule.id === id);
+        if (rule) {
+            rule.enabled = enabled;
+            this.ruleState.delete(id);
+        }
+    }
+    
+    // Forget per-rule timers and known tracks (rules and history are kept)
+    reset() {
+        this.ruleState = new Map();
+        this.knownTracks = new Set();
+    }
+    
+    clearHistory() {
+        this.history = [];
+    }
+    
+    // Track IDs are never reused, so an ended track can be forgotten
+    trackEnded(trackId) {
+        this.knownTracks.delete(trackId);
+    }
+    
+    evaluate(detections, now = Date.now()) {
+        const newTracks = detections.filter(detection => !this.knownTracks.has(detection.trackId));
+        const fired = [];
+        
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+            
+            const state = this.getRuleState(rule.id);
+            const matches = detections.filter(detection => this.matchesClass(rule, detection));
+            let triggered = false;
+            let count = matches.length;
+            
+            if (rule.type === 'appear') {
+                const appeared = newTracks.filter(detection => this.matchesClass(rule, detection));
+                triggered = appeared.length > 0;
+                count = appeared.length;
+            } else if (matches.length >= rule.minCount) {
+                if (state.conditionSince === null) {
+                    state.conditionSince = now;
+                }
+                triggered = now - state.conditionSince >= rule.holdSeconds * 1000;
+            } else {
+                state.conditionSince = null;
+            }
+            
+            const coolingDown = state.lastFired !== null &&
+                now - state.lastFired < rule.cooldownSeconds * 1000;
+            
+            if (triggered && !coolingDown) {
+                state.lastFired = now;
+                fired.push({
+                    ruleId: rule.id,
+                    type: rule.type,
+                    className: rule.className,
+                    count,
+                    message: this.describeAlert(rule, count),
+                    timestamp: now
+                });
+            }
+        });
+        
+        detections.forEach(detection => this.knownTracks.add(detection.trackId));
+        
+        if (fired.length > 0) {
+            this.history.unshift(...fired);
+            this.history.length = Math.min(this.history.length, this.maxHistory);
+        }
+        
+        return fired;
+    }
+    
+    getRuleState(id) {
+        if (!this.ruleState.has(id)) {
+            this.ruleState.set(id, { conditionSince: null, lastFired: null });
+        }
+        return this.ruleState.get(id);
+    }
+    
+    matchesClass(rule, detection) {
+        return rule.className === '*' || rule.className === detection.class;
+    }
+    
+    describeRule(rule) {
+        const target = rule.className === '*' ? 'any object' : rule.className;
+        let text;
+        
+        if (rule.type === 'appear') {
+            text = `New ${target} appears`;
+        } else {
+            text = `${target} count ≥ ${rule.minCount}`;
+            if (rule.holdSeconds > 0) {
+                text += ` for ${rule.holdSeconds}s`;
+            }
+        }
+        
+        if (rule.cooldownSeconds > 0) {
+            text += ` (cooldown ${rule.cooldownSeconds}s)`;
+        }
+        return text;
+    }
+    
+    describeAlert(rule, count) {
+        const target = rule.className === '*' ? 'object' : rule.className;
+        
+        if (rule.type === 'appear') {
+            return count > 1 ? `${count} new ${target}s appeared` : `New ${target} appeared`;
+        }
+        return `${count} × ${target} detected`;
+    }
+}
+
+// Alert tones synthesized with the Web Audio API (no audio files to fetch)
+class AlertSound {
+    constructor() {
+        this.context = null;
+    }
+    
+    // Audio contexts may only start after a user gesture, so this is called
+    // from the sound toggle's change handler
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        if (!this.context) {
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+    
+    play(type) {
+        if (!this.context) return;
+        
+        // A single high chirp for new objects, a double beep for counts
+        const pattern = type === 'appear'
+            ? [{ frequency: 880, offset: 0, duration: 0.15 }]
+            : [
+                { frequency: 660, offset: 0, duration: 0.12 },
+                { frequency: 660, offset: 0.18, duration: 0.12 }
+            ];
+        
+        const start = this.context.currentTime;
+        pattern.forEach(({ frequency, offset, duration }) => {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            
+            // Short attack and exponential release to avoid clicks
+            gain.gain.setValueAtTime(0.0001, start + offset);
+            gain.gain.exponentialRampToValueAtTime(0.3, start + offset + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + duration);
+            
+            oscillator.connect(gain);
+            gain.connect(this.context.destination);
+            oscillator.start(start + offset);
+            oscillator.stop(start + offset + duration + 0.02);
+        });
+    }
+}
@@ -0,0 +1,142 @@
+// Detection analytics
+// Rolling per-class time series, occupancy peaks, dwell times and position
+// heatmaps, built from the same per-frame detections as the stats panel.
+class DetectionAnalytics {
+    constructor(options = {}) {
+        // Per-second buckets cover the last few minutes, per-minute buckets
+        // the last hours
+        this.secondsWindow = options.secondsWindow || 300;
+        this.minutesWindow = options.minutesWindow || 120;
+        
+        // Heatmap resolution over the normalized frame
+        this.heatmapColumns = options.heatmapColumns || 32;
+        this.heatmapRows = options.heatmapRows || 24;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.seconds = [];
+        this.minutes = [];
+        this.peaks = {};
+        this.dwell = {};
+        this.heatmaps = {};
+        
+        // Tracks seen in a recorded frame; only these get a dwell time
+        this.recordedTracks = new Set();
+    }
+    
+    get classes() {
+        return Object.keys(this.peaks);
+    }
+    
+    // Adds one frame of tracked detections. Buckets keep the highest count of
+    // each class seen within their second or minute.
+    record(detections, width, height, now = Date.now()) {
+        const counts = {};
+        detections.forEach(detection => {
+            counts[detection.class] = (counts[detection.class] || 0) + 1;
+            this.addToHeatmap(detection, width, height);
+            this.recordedTracks.add(detection.trackId);
+        });
+        
+        addToBucket(this.seconds, 1000, this.secondsWindow, counts, now);
+        addToBucket(this.minutes, 60000, this.minutesWindow, counts, now);
+        
+        Object.entries(counts).forEach(([className, count]) => {
+            const peak = this.peaks[className];
+            if (!peak || count > peak.count) {
+                this.peaks[className] = { count, time: now };
+            }
+        });
+    }
+    
+    addToHeatmap(detection, width, height) {
+        const [cx, cy] = bboxCenter(detection.bbox);
+        const column = Math.min(this.heatmapColumns - 1, Math.max(0, Math.floor((cx / width) * this.heatmapColumns)));
+        const row = Math.min(this.heatmapRows - 1, Math.max(0, Math.floor((cy / height) * this.heatmapRows)));
+        
+        if (!this.heatmaps[detection.class]) {
+            this.heatmaps[detection.class] = new Float32Array(this.heatmapColumns * this.heatmapRows);
+        }
+        this.heatmaps[detection.class][row * this.heatmapColumns + column]++;
+    }
+    
+    // Tracker callback for tracks that have ended. Tracks never recorded,
+    // such as those of batch images or seeking, are left out.
+    trackEnded(track) {
+        if (!this.recordedTracks.delete(track.id)) return;
+        
+        const stats = this.dwell[track.class] || (this.dwell[track.class] = { total: 0, count: 0 });
+        stats.total += track.lastSeen - track.firstSeen;
+        stats.count++;
+    }
+    
+    // Mean time on screen of ended tracks plus the ones still visible, in ms;
+    // null when the class has no tracks yet
+    averageDwell(className, activeDetections = []) {
+        const stats = this.dwell[className] || { total: 0, count: 0 };
+        let total = stats.total;
+        let count = stats.count;
+        
+        activeDetections.forEach(detection => {
+            if (detection.class === className) {
+                total += detection.dwellTime;
+                count++;
+            }
+        });
+        
+        return count > 0 ? total / count : null;
+    }
+    
+    // Count series for `classes` over the buckets of the given resolution
+    // ('second' or 'minute'). Buckets without frames count as zero.
+    series(resolution, classes, now = Date.now()) {
+        const interval = resolution === 'minute' ? 60000 : 1000;
+        const buckets = resolution === 'minute' ? this.minutes : this.seconds;
+        const length = resolution === 'minute' ? this.minutesWindow : this.secondsWindow;
+        const end = Math.floor(now / interval) * interval;
+        const start = end - (length - 1) * interval;
+        
+        const byTime = new Map(buckets.map(bucket => [bucket.time, bucket.counts]));
+        const times = [];
+        for (let time = start; time <= end; time += interval) {
+            times.push(time);
+        }
+        
+        return {
+            times,
+            series: classes.map(className => ({
+                className,
+                values: times.map(time => (byTime.get(time) || {})[className] || 0)
+            }))
+        };
+    }
+    
+    // Classes ordered by their peak count, highest first
+    topClasses(limit) {
+        return this.classes
+            .sort((a, b) => this.peaks[b].count - this.peaks[a].count)
+            .slice(0, limit);
+    }
+}
+
+function addToBucket(buckets, interval, windowSize, counts, now) {
+    const time = Math.floor(now / interval) * interval;
+    let bucket = buckets[buckets.length - 1];
+    
+    if (!bucket || bucket.time !== time) {
+        bucket = { time, counts: {} };
+        buckets.push(bucket);
+        
+        // Drop buckets that have left the window
+        const oldest = time - (windowSize - 1) * interval;
+        while (buckets[0].time < oldest) {
+            buckets.shift();
+        }
+    }
+    
+    Object.entries(counts).forEach(([className, count]) => {
+        bucket.counts[className] = Math.max(bucket.counts[className] || 0, count);
+    });
+}
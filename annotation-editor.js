@@ -0,0 +1,216 @@
+// Annotation editor
+// Corrects the boxes of a paused frame: drag a box to move it, drag a
+// corner to resize it, or drag on empty space to draw a missing one.
+// Corrected frames are kept with their JPEG and exported as a COCO or YOLO
+// dataset. Boxes are in frame pixels, like the detections they start from.
+class AnnotationEditor {
+    constructor(options = {}) {
+        // New boxes smaller than this (frame pixels) are discarded as stray clicks
+        this.minSize = options.minSize ?? 4;
+        
+        this.active = false;
+        this.width = 0;
+        this.height = 0;
+        this.boxes = [];
+        this.selected = -1;
+        this.drag = null;
+        
+        // Saved frames as { fileName, width, height, dateCaptured, image, annotations }
+        // where image is a promise of the JPEG Blob
+        this.frames = [];
+        this.nextFrame = 1;
+    }
+    
+    begin(detections, width, height) {
+        this.active = true;
+        this.width = width;
+        this.height = height;
+        this.boxes = detections.map(detection => ({ class: detection.class, bbox: [...detection.bbox] }));
+        this.selected = -1;
+        this.drag = null;
+    }
+    
+    end() {
+        this.active = false;
+        this.boxes = [];
+        this.selected = -1;
+        this.drag = null;
+    }
+    
+    get selectedBox() {
+        return this.boxes[this.selected] || null;
+    }
+    
+    // Box and part ('move' or a corner: 'nw', 'ne', 'sw', 'se') at `point`.
+    // The selected box is tried first, then the others from the top down.
+    hitTest([px, py], tolerance) {
+        const order = this.boxes.map((box, index) => index).reverse();
+        if (this.selected >= 0) {
+            order.splice(order.indexOf(this.selected), 1);
+            order.unshift(this.selected);
+        }
+        
+        for (const index of order) {
+            const [x, y, w, h] = this.boxes[index].bbox;
+            const corners = { nw: [x, y], ne: [x + w, y], sw: [x, y + h], se: [x + w, y + h] };
+            const handle = Object.keys(corners).find(key =>
+                Math.abs(px - corners[key][0]) <= tolerance && Math.abs(py - corners[key][1]) <= tolerance
+            );
+            if (handle) {
+                return { index, handle };
+            }
+            if (px >= x && px <= x + w && py >= y && py <= y + h) {
+                return { index, handle: 'move' };
+            }
+        }
+        return null;
+    }
+    
+    // Selects and starts dragging the box under `point`, or starts a new
+    // box of `className` there
+    pointerDown(point, className, tolerance) {
+        const hit = this.hitTest(point, tolerance);
+        if (hit) {
+            this.selected = hit.index;
+            this.drag = { handle: hit.handle, start: point, bbox: [...this.boxes[hit.index].bbox] };
+            return;
+        }
+        
+        this.boxes.push({ class: className, bbox: [point[0], point[1], 0, 0] });
+        this.selected = this.boxes.length - 1;
+        this.drag = { handle: 'se', start: point, bbox: [point[0], point[1], 0, 0], created: true };
+    }
+    
+    // Returns whether a box changed
+    pointerMove([px, py]) {
+        if (!this.drag) return false;
+        
+        const { handle, start, bbox: [x, y, w, h] } = this.drag;
+        const dx = px - start[0];
+        const dy = py - start[1];
+        const box = this.boxes[this.selected];
+        
+        if (handle === 'move') {
+            box.bbox = [
+                Math.min(this.width - w, Math.max(0, x + dx)),
+                Math.min(this.height - h, Math.max(0, y + dy)),
+                w,
+                h
+            ];
+            return true;
+        }
+        
+        // Dragged edges follow the pointer; a corner pulled past the
+        // opposite one flips the box
+        const clampX = value => Math.min(this.width, Math.max(0, value));
+        const clampY = value => Math.min(this.height, Math.max(0, value));
+        const left = clampX(handle.includes('w') ? x + dx : x);
+        const right = clampX(handle.includes('e') ? x + w + dx : x + w);
+        const top = clampY(handle.includes('n') ? y + dy : y);
+        const bottom = clampY(handle.includes('s') ? y + h + dy : y + h);
+        box.bbox = [Math.min(left, right), Math.min(top, bottom), Math.abs(right - left), Math.abs(bottom - top)];
+        return true;
+    }
+    
+    pointerUp() {
+        if (!this.drag) return;
+        
+        const [, , w, h] = this.selectedBox.bbox;
+        if (this.drag.created && (w < this.minSize || h < this.minSize)) {
+            this.boxes.splice(this.selected, 1);
+            this.selected = -1;
+        }
+        this.drag = null;
+    }
+    
+    deleteSelected() {
+        if (this.selected < 0) return false;
+        
+        this.boxes.splice(this.selected, 1);
+        this.selected = -1;
+        return true;
+    }
+    
+    setSelectedClass(className) {
+        if (!this.selectedBox) return false;
+        
+        this.selectedBox.class = className;
+        return true;
+    }
+    
+    // Dashed outlines, solid with corner handles for the selected box
+    draw(ctx, colorFor, handleSize) {
+        ctx.save();
+        ctx.font = '16px Arial, sans-serif';
+        
+        this.boxes.forEach((box, index) => {
+            const [x, y, w, h] = box.bbox;
+            const color = colorFor(box.class);
+            const selected = index === this.selected;
+            
+            ctx.setLineDash(selected ? [] : [8, 4]);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = selected ? 3 : 2;
+            ctx.strokeRect(x, y, w, h);
+            
+            ctx.fillStyle = color;
+            const textWidth = ctx.measureText(box.class).width;
+            ctx.fillRect(x, y - 24, textWidth + 12, 24);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(box.class, x + 6, y - 8);
+            
+            if (selected) {
+                ctx.fillStyle = color;
+                [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].forEach(([cx, cy]) => {
+                    ctx.fillRect(cx - handleSize / 2, cy - handleSize / 2, handleSize, handleSize);
+                });
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    // Keeps the current boxes as the annotations of `image`, a promise of
+    // the frame's JPEG
+    saveFrame(image) {
+        this.frames.push({
+            fileName: `frame_${String(this.nextFrame++).padStart(6, '0')}.jpg`,
+            width: this.width,
+            height: this.height,
+            dateCaptured: new Date().toISOString(),
+            image,
+            annotations: this.boxes.map(box => ({
+                class: box.class,
+                bbox: box.bbox.map(value => roundTo(value, 2))
+            }))
+        });
+    }
+    
+    clearFrames() {
+        this.frames = [];
+        this.nextFrame = 1;
+    }
+    
+    // Zip of the frames under images/ with annotations.json (COCO) or a
+    // labels/ text file per frame and data.yaml (YOLO)
+    async toArchive(format, labels) {
+        const zip = new ZipWriter();
+        
+        for (const frame of this.frames) {
+            await zip.add(`images/${frame.fileName}`, await frame.image);
+            if (format === 'yolo') {
+                const labelFile = frame.fileName.replace(/\.jpg$/, '.txt');
+                await zip.add(`labels/${labelFile}`, buildYoloLabels(frame.annotations, frame.width, frame.height, labels));
+            }
+        }
+        
+        if (format === 'yolo') {
+            await zip.add('data.yaml', buildYoloDataConfig(labels));
+        } else {
+            const dataset = buildCocoDataset(this.frames, labels, { description: 'Corrected detections' });
+            await zip.add('annotations.json', JSON.stringify(dataset, null, 2));
+        }
+        
+        return zip.toBlob();
+    }
+}
@@ -1,19 +1,36 @@
 // Real-Time Object Detection Application
+
+// Settings restored on the next visit; detectionEnabled always starts off
+const PERSISTED_SETTINGS = [
+    'confidenceThreshold', 'showConfidence', 'maxDetections', 'soundEnabled', 'zoneFilter',
+    'autoRecordClass', 'clipPreRoll', 'clipPostRoll',
+    'smoothingMode', 'smoothingStrength', 'hysteresis', 'persistMargin',
+    'confirmNewObjects', 'confirmFrames', 'showRawBoxes',
+    'maxInferenceRate', 'autoScale', 'backend',
+    'streamMode', 'streamUrl', 'streamPayload', 'streamBatchInterval',
+    'privacyMode', 'redactClasses', 'hideRawVideo',
+    'cameraResolution', 'cameraFrameRate', 'cameraFacing'
+];
+
 class ObjectDetectionApp {
     constructor() {
         // Application state
-        this.model = null;
         this.videoElement = null;
         this.canvas = null;
         this.ctx = null;
         this.isDetecting = false;
-        this.stream = null;
+        this.source = null;
         this.animationFrame = null;
+        this.inferenceBusy = false;
         this.modelLoaded = false;
-        this.cameraReady = false;
+        this.sourceReady = false;
+        this.batchRunning = false;
+        this.batchResults = [];
         
-        // Configuration from provided data
-        this.cocoClasses = ["person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat", "traffic light", "fire hydrant", "stop sign", "parking meter", "bench", "bird", "cat", "dog", "horse", "sheep", "cow", "elephant", "bear", "zebra", "giraffe", "backpack", "umbrella", "handbag", "tie", "suitcase", "frisbee", "skis", "snowboard", "sports ball", "kite", "baseball bat", "baseball glove", "skateboard", "surfboard", "tennis racket", "bottle", "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple", "sandwich", "orange", "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "chair", "couch", "potted plant", "bed", "dining table", "toilet", "tv", "laptop", "mouse", "remote", "keyboard", "cell phone", "microwave", "oven", "toaster", "sink", "refrigerator", "book", "clock", "vase", "scissors", "teddy bear", "hair drier", "toothbrush"];
+        // Models and the labels of the active one
+        this.modelRegistry = new ModelRegistry();
+        this.activeModel = null;
+        this.labels = COCO_CLASSES;
         
         this.colors = ["#FF6B6B", "#4ECDC4", "#45B7D1", "#96CEB4", "#FFEAA7", "#DDA0DD", "#98D8C8", "#F7DC6F", "#BB8FCE", "#85C1E9", "#F8C471", "#82E0AA", "#F1948A", "#85C1E9", "#D7BDE2", "#A3E4D7", "#FAD7A0", "#D5A6BD", "#AED6F1", "#ABEBC6"];
         
@@ -22,23 +39,138 @@ class ObjectDetectionApp {
             confidenceThreshold: 0.5,
             showConfidence: true,
             detectionEnabled: false,
-            maxDetections: 20
+            maxDetections: 20,
+            soundEnabled: false,
+            zoneFilter: false,
+            autoRecordClass: 'person',
+            clipPreRoll: 5,
+            clipPostRoll: 3,
+            smoothingMode: 'off',
+            smoothingStrength: 0.5,
+            hysteresis: false,
+            persistMargin: 0.15,
+            confirmNewObjects: false,
+            confirmFrames: 3,
+            showRawBoxes: false,
+            maxInferenceRate: 0,
+            autoScale: false,
+            backend: 'auto',
+            streamMode: 'off',
+            streamUrl: '',
+            streamPayload: 'frame',
+            streamBatchInterval: 1,
+            privacyMode: 'off',
+            redactClasses: ['person'],
+            hideRawVideo: false,
+            cameraResolution: '640x480',
+            cameraFrameRate: 0,
+            cameraFacing: 'user'
         };
         
         // Statistics
         this.stats = {
             totalDetections: 0,
-            fps: 0,
+            renderFps: 0,
+            inferenceFps: 0,
             detectionTime: 0,
             activeObjects: 0,
-            frameCount: 0,
+            renderFrames: 0,
+            inferenceFrames: 0,
+            numTensors: null,
+            tensorBytes: null,
             lastTime: Date.now()
         };
         
-        // Detection data
+        // Detection data; raw detections are the tracker output before
+        // smoothing, drawn for comparison
         this.currentDetections = [];
+        this.rawDetections = [];
         this.classCounts = {};
         
+        // Per-class filters; boxes are colored by class
+        this.classFilter = new ClassFilter({ colors: this.colors });
+        
+        // Time series, peaks, dwell times and heatmaps; ended tracks feed
+        // the dwell times
+        this.analytics = new DetectionAnalytics();
+        
+        // Zones and tripwires
+        this.zoneManager = new ZoneManager();
+        
+        // Corrected boxes of paused frames, collected into a dataset. The
+        // frame being annotated is frozen on the overlay.
+        this.annotationEditor = new AnnotationEditor();
+        this.annotationFrame = null;
+        
+        // Model loading and the detection pipeline: class filtering,
+        // tracking, smoothing and alert rules. Zones are tallied on the
+        // confirmed detections before alerts run.
+        this.core = new ObjectDetector({
+            modelRegistry: this.modelRegistry,
+            classFilter: this.classFilter,
+            postProcess: (detections, width, height) => this.applyZones(detections, width, height)
+        });
+        this.core.on('modelstatus', status => showModelStatus(this.modelStatus, status));
+        this.core.on('trackend', track => {
+            this.analytics.trackEnded(track);
+            this.streamTrackEnd(track);
+        });
+        
+        // Pipeline stages the UI configures directly
+        this.tracker = this.core.tracker;
+        this.smoother = this.core.smoother;
+        this.governor = this.core.governor;
+        this.alertEngine = this.core.alertEngine;
+        
+        // Alerts
+        this.alertSound = new AlertSound();
+        this.alertFlashUntil = 0;
+        this.alertFlashDuration = 800;
+        
+        // Privacy redaction. With the raw video hidden, detection runs on a
+        // copy of the frame (pendingFrame) that is only shown, as
+        // privacyFrame, once its detections are known.
+        this.redactor = new FrameRedactor();
+        this.privacyFrame = document.createElement('canvas');
+        this.pendingFrame = document.createElement('canvas');
+        this.privacyFrameReady = false;
+        
+        // Session recording
+        this.recorder = new SessionRecorder();
+        
+        // Detections pushed to a WebSocket or webhook; in event mode the
+        // tracks already reported as appeared
+        this.streamer = new DetectionStreamer({ onStatus: status => this.updateStreamStatus(status) });
+        this.streamedTracks = new Set();
+        
+        // Annotated clips of the view; auto clips stop once their class has
+        // been gone for clipPostRoll seconds
+        this.clipRecorder = ClipRecorder.isSupported() ? new ClipRecorder(() => this.frameLayers()) : null;
+        this.clips = [];
+        this.maxClips = 10;
+        this.clipAuto = false;
+        this.clipLastSeen = 0;
+        this.clipStatusTimer = null;
+        
+        // Camera input; reopens the camera after it is unplugged or lost
+        this.camera = new CameraManager({
+            onState: (state, error) => this.updateCameraState(state, error),
+            onStream: stream => {
+                this.showOverlay('Initializing Video...');
+                return this.setSource(new CameraSource(this.videoElement, stream));
+            },
+            onDevices: devices => this.renderCameraOptions(devices)
+        });
+        
+        // Saved settings and past detection sessions
+        this.storageKey = 'objectDetection.settings';
+        this.preferredCameraId = null;
+        this.preferredModelId = null;
+        this.sessionHistory = SessionHistory.isSupported() ? new SessionHistory() : null;
+        this.sessionSummary = null;
+        this.sessionSavedAt = 0;
+        this.sessionSaveInterval = 10000;
+        
         // Initialize the application
         this.init();
     }
@@ -46,11 +178,23 @@ class ObjectDetectionApp {
     async init() {
         try {
             this.setupDOMElements();
+            this.restoreSettings();
             this.setupEventListeners();
+            this.renderModelOptions();
+            this.renderClassPresets();
             this.renderCocoClasses();
+            this.renderAlertClassOptions();
+            this.renderAutoRecordOptions();
+            this.renderRedactClassOptions();
+            this.updateClipStatus();
+            this.renderAlertRules();
+            this.renderAlertHistory();
+            this.renderZonesList();
+            this.updateZoneStats();
+            this.renderAnalytics();
             
             // Load the model first
-            await this.loadModel();
+            await this.loadModel(this.preferredModelId || undefined);
             
             // Then initialize camera
             await this.initializeCamera();
@@ -64,11 +208,15 @@ class ObjectDetectionApp {
     setupDOMElements() {
         // Get DOM elements
         this.videoElement = document.getElementById('videoElement');
+        this.imageElement = document.getElementById('imageElement');
+        this.cameraContainer = document.getElementById('cameraContainer');
         this.canvas = document.getElementById('detectionCanvas');
         this.ctx = this.canvas.getContext('2d');
         
         // UI elements
         this.modelStatus = document.getElementById('modelStatus');
+        this.streamStatus = document.getElementById('streamStatus');
+        this.cameraStatus = document.getElementById('cameraStatus');
         this.cameraOverlay = document.getElementById('cameraOverlay');
         this.errorMessage = document.getElementById('errorMessage');
         this.errorText = document.getElementById('errorText');
@@ -77,305 +225,1774 @@ class ObjectDetectionApp {
         // Controls
         this.toggleButton = document.getElementById('toggleDetection');
         this.clearButton = document.getElementById('clearDetections');
+        this.recordButton = document.getElementById('toggleRecording');
+        this.recordingStatus = document.getElementById('recordingStatus');
+        this.exportJsonlButton = document.getElementById('exportJsonl');
+        this.exportCsvButton = document.getElementById('exportCsv');
+        this.exportCocoButton = document.getElementById('exportCoco');
         this.confidenceSlider = document.getElementById('confidenceSlider');
         this.confidenceValue = document.getElementById('confidenceValue');
+        this.maxDetectionsInput = document.getElementById('maxDetectionsInput');
+        
+        // Performance
+        this.inferenceRateSelect = document.getElementById('inferenceRateSelect');
+        this.autoScaleToggle = document.getElementById('autoScaleToggle');
+        this.backendSelect = document.getElementById('backendSelect');
+        
+        // Privacy
+        this.privacyModeSelect = document.getElementById('privacyModeSelect');
+        this.redactClassesSelect = document.getElementById('redactClassesSelect');
+        this.hideVideoToggle = document.getElementById('hideVideoToggle');
+        
+        // Streaming
+        this.streamModeSelect = document.getElementById('streamModeSelect');
+        this.streamUrlInput = document.getElementById('streamUrlInput');
+        this.streamPayloadSelect = document.getElementById('streamPayloadSelect');
+        this.streamBatchInput = document.getElementById('streamBatchInput');
+        
+        // Smoothing
+        this.smoothingModeSelect = document.getElementById('smoothingMode');
+        this.smoothingStrengthSlider = document.getElementById('smoothingStrength');
+        this.smoothingStrengthValue = document.getElementById('smoothingStrengthValue');
+        this.hysteresisToggle = document.getElementById('hysteresisToggle');
+        this.persistMarginInput = document.getElementById('persistMarginInput');
+        this.confirmToggle = document.getElementById('confirmToggle');
+        this.confirmFramesInput = document.getElementById('confirmFramesInput');
+        this.showRawBoxesToggle = document.getElementById('showRawBoxesToggle');
+        
+        // Clips and snapshots
+        this.snapshotButton = document.getElementById('takeSnapshot');
+        this.clipButton = document.getElementById('toggleClip');
+        this.clipStatus = document.getElementById('clipStatus');
+        this.autoRecordToggle = document.getElementById('autoRecordToggle');
+        this.autoRecordClassSelect = document.getElementById('autoRecordClass');
+        this.preRollInput = document.getElementById('preRollInput');
+        this.postRollInput = document.getElementById('postRollInput');
+        this.clipsList = document.getElementById('clipsList');
         this.showConfidenceToggle = document.getElementById('showConfidenceToggle');
         this.enableSoundToggle = document.getElementById('enableSoundToggle');
         this.cameraSelect = document.getElementById('cameraSelect');
+        this.cameraResolutionSelect = document.getElementById('cameraResolutionSelect');
+        this.cameraFrameRateSelect = document.getElementById('cameraFrameRateSelect');
+        this.facingButton = document.getElementById('facingToggle');
         this.retryButton = document.getElementById('retryButton');
+        this.useFileButton = document.getElementById('useFileButton');
+        this.useCameraButton = document.getElementById('useCamera');
+        this.openFilesButton = document.getElementById('openFiles');
+        this.openFolderButton = document.getElementById('openFolder');
+        this.fileInput = document.getElementById('fileInput');
+        this.folderInput = document.getElementById('folderInput');
+        this.sourceLabel = document.getElementById('sourceLabel');
+        
+        // Video file transport
+        this.videoControls = document.getElementById('videoControls');
+        this.videoPlayPauseButton = document.getElementById('videoPlayPause');
+        this.videoStepBackButton = document.getElementById('videoStepBack');
+        this.videoStepForwardButton = document.getElementById('videoStepForward');
+        this.videoSeek = document.getElementById('videoSeek');
+        this.videoTime = document.getElementById('videoTime');
+        
+        // Image batch
+        this.batchPanel = document.getElementById('batchPanel');
+        this.runBatchButton = document.getElementById('runBatch');
+        this.batchProgress = document.getElementById('batchProgress');
+        this.batchResultsBody = document.getElementById('batchResultsBody');
         this.classSearch = document.getElementById('classSearch');
         
+        // Alerts
+        this.alertClassSelect = document.getElementById('alertClassSelect');
+        this.alertTypeSelect = document.getElementById('alertTypeSelect');
+        this.alertCountInput = document.getElementById('alertCountInput');
+        this.alertHoldInput = document.getElementById('alertHoldInput');
+        this.alertCooldownInput = document.getElementById('alertCooldownInput');
+        this.alertCountFields = document.getElementById('alertCountFields');
+        this.addAlertRuleButton = document.getElementById('addAlertRule');
+        this.alertRulesList = document.getElementById('alertRulesList');
+        this.alertHistoryList = document.getElementById('alertHistoryList');
+        this.clearAlertHistoryButton = document.getElementById('clearAlertHistory');
+        
+        // Zones
+        this.drawZoneButton = document.getElementById('drawZone');
+        this.drawTripwireButton = document.getElementById('drawTripwire');
+        this.finishZoneButton = document.getElementById('finishZone');
+        this.cancelZoneButton = document.getElementById('cancelZone');
+        this.zoneDraftControls = document.getElementById('zoneDraftControls');
+        this.zoneHint = document.getElementById('zoneHint');
+        this.zoneFilterToggle = document.getElementById('zoneFilterToggle');
+        this.zonesList = document.getElementById('zonesList');
+        this.resetZoneCountsButton = document.getElementById('resetZoneCounts');
+        this.zoneStats = document.getElementById('zoneStats');
+        this.zoneStatsList = document.getElementById('zoneStatsList');
+        
+        // Annotation
+        this.startAnnotationButton = document.getElementById('startAnnotation');
+        this.annotationHint = document.getElementById('annotationHint');
+        this.annotationControls = document.getElementById('annotationControls');
+        this.annotationClassSelect = document.getElementById('annotationClassSelect');
+        this.deleteAnnotationBoxButton = document.getElementById('deleteAnnotationBox');
+        this.saveAnnotationFrameButton = document.getElementById('saveAnnotationFrame');
+        this.cancelAnnotationButton = document.getElementById('cancelAnnotation');
+        this.datasetStatus = document.getElementById('datasetStatus');
+        this.datasetFormatSelect = document.getElementById('datasetFormatSelect');
+        this.exportDatasetButton = document.getElementById('exportDataset');
+        this.clearDatasetButton = document.getElementById('clearDataset');
+        
         // Statistics
         this.totalDetectionsEl = document.getElementById('totalDetections');
         this.fpsCounterEl = document.getElementById('fpsCounter');
+        this.inferenceFpsEl = document.getElementById('inferenceFps');
+        this.inferenceModeEl = document.getElementById('inferenceMode');
+        this.inputScaleEl = document.getElementById('inputScale');
+        this.tensorCountEl = document.getElementById('tensorCount');
+        this.tensorMemoryEl = document.getElementById('tensorMemory');
         this.detectionTimeEl = document.getElementById('detectionTime');
         this.activeObjectsEl = document.getElementById('activeObjects');
         this.detectedObjectsList = document.getElementById('detectedObjectsList');
+        
+        // Analytics
+        this.analyticsRange = document.getElementById('analyticsRange');
+        this.resetAnalyticsButton = document.getElementById('resetAnalytics');
+        this.analyticsChart = document.getElementById('analyticsChart');
+        this.analyticsLegend = document.getElementById('analyticsLegend');
+        this.analyticsTableBody = document.getElementById('analyticsTableBody');
+        this.heatmapClassSelect = document.getElementById('heatmapClass');
+        this.heatmapCanvas = document.getElementById('heatmapCanvas');
         this.cocoClassesList = document.getElementById('cocoClassesList');
+        this.classCountEl = document.getElementById('classCount');
+        this.classPresetSelect = document.getElementById('classPresetSelect');
+        this.presetNameInput = document.getElementById('presetName');
+        this.savePresetButton = document.getElementById('savePreset');
+        this.deletePresetButton = document.getElementById('deletePreset');
+        
+        // Model selection
+        this.modelSelect = document.getElementById('modelSelect');
+        this.customModelUrl = document.getElementById('customModelUrl');
+        this.customLabelsUrl = document.getElementById('customLabelsUrl');
+        this.customModelFiles = document.getElementById('customModelFiles');
+        this.loadCustomModelButton = document.getElementById('loadCustomModel');
+        this.customModelError = document.getElementById('customModelError');
+    }
+    
+    // Applies settings saved by a previous visit to the app state and the
+    // controls. Runs before anything is rendered.
+    restoreSettings() {
+        const saved = loadJSON(this.storageKey, {});
+        
+        PERSISTED_SETTINGS.forEach(key => {
+            if (saved.settings && typeof saved.settings[key] === typeof this.settings[key]) {
+                this.settings[key] = saved.settings[key];
+            }
+        });
+        
+        if (saved.classFilters) {
+            this.classFilter.settings = saved.classFilters;
+        }
+        (saved.alertRules || []).forEach(rule => this.alertEngine.addRule(rule));
+        
+        this.preferredCameraId = saved.cameraId || null;
+        this.preferredModelId = this.modelRegistry.get(saved.modelId) ? saved.modelId : null;
+        this.camera.deviceId = this.preferredCameraId;
+        this.camera.facingMode = this.settings.cameraFacing;
+        this.camera.resolution = this.settings.cameraResolution;
+        this.camera.frameRate = this.settings.cameraFrameRate;
+        
+        this.confidenceSlider.value = this.settings.confidenceThreshold;
+        this.confidenceValue.textContent = this.settings.confidenceThreshold.toFixed(1);
+        this.maxDetectionsInput.value = this.settings.maxDetections;
+        this.showConfidenceToggle.checked = this.settings.showConfidence;
+        this.enableSoundToggle.checked = this.settings.soundEnabled;
+        this.zoneFilterToggle.checked = this.settings.zoneFilter;
+        this.preRollInput.value = this.settings.clipPreRoll;
+        this.postRollInput.value = this.settings.clipPostRoll;
+        this.smoothingModeSelect.value = this.settings.smoothingMode;
+        this.smoothingStrengthSlider.value = this.settings.smoothingStrength;
+        this.smoothingStrengthValue.textContent = this.settings.smoothingStrength.toFixed(1);
+        this.hysteresisToggle.checked = this.settings.hysteresis;
+        this.persistMarginInput.value = this.settings.persistMargin;
+        this.confirmToggle.checked = this.settings.confirmNewObjects;
+        this.confirmFramesInput.value = this.settings.confirmFrames;
+        this.showRawBoxesToggle.checked = this.settings.showRawBoxes;
+        this.applyDetectionSettings();
+        this.applySmoothingSettings();
+        this.inferenceRateSelect.value = this.settings.maxInferenceRate;
+        this.autoScaleToggle.checked = this.settings.autoScale;
+        this.backendSelect.value = this.settings.backend;
+        this.applyPerformanceSettings();
+        this.privacyModeSelect.value = this.settings.privacyMode;
+        this.hideVideoToggle.checked = this.settings.hideRawVideo;
+        this.applyPrivacySettings();
+        this.streamModeSelect.value = this.settings.streamMode;
+        this.streamUrlInput.value = this.settings.streamUrl;
+        this.streamPayloadSelect.value = this.settings.streamPayload;
+        this.streamBatchInput.value = this.settings.streamBatchInterval;
+        this.applyStreamSettings();
+        
+        // Audio can only start after a user gesture
+        if (this.settings.soundEnabled) {
+            document.addEventListener('pointerdown', () => this.alertSound.unlock(), { once: true });
+        }
+    }
+    
+    applyDetectionSettings() {
+        this.core.configure({
+            threshold: this.settings.confidenceThreshold,
+            maxDetections: this.settings.maxDetections,
+            backend: this.settings.backend
+        });
+    }
+    
+    applyPerformanceSettings() {
+        this.governor.configure({
+            maxInferenceRate: this.settings.maxInferenceRate,
+            autoScale: this.settings.autoScale
+        });
+    }
+    
+    applyPrivacySettings() {
+        if (this.settings.privacyMode !== 'off') {
+            this.redactor.mode = this.settings.privacyMode;
+        }
+        this.hideVideoToggle.disabled = this.settings.privacyMode === 'off';
+        this.cameraContainer.classList.toggle('privacy-hidden', this.hidesRawVideo);
+    }
+    
+    // The raw video is only hidden while redaction is on
+    get hidesRawVideo() {
+        return this.settings.privacyMode !== 'off' && this.settings.hideRawVideo;
+    }
+    
+    applyStreamSettings() {
+        this.streamer.configure({
+            mode: this.settings.streamMode,
+            url: this.settings.streamUrl,
+            batchInterval: this.settings.streamBatchInterval * 1000
+        });
+    }
+    
+    applySmoothingSettings() {
+        this.smoother.configure({
+            mode: this.settings.smoothingMode,
+            strength: this.settings.smoothingStrength,
+            hysteresis: this.settings.hysteresis,
+            confirmFrames: this.settings.confirmNewObjects ? this.settings.confirmFrames : 1
+        });
+        this.core.configure({ persistMargin: this.settings.persistMargin });
+    }
+    
+    saveSettings() {
+        const settings = {};
+        PERSISTED_SETTINGS.forEach(key => {
+            settings[key] = this.settings[key];
+        });
+        
+        saveJSON(this.storageKey, {
+            settings,
+            classFilters: this.classFilter.settings,
+            alertRules: this.alertEngine.rules.map(({ id, ...rule }) => rule),
+            cameraId: this.preferredCameraId,
+            modelId: this.preferredModelId
+        });
     }
     
     setupEventListeners() {
         // Detection controls
         this.toggleButton.addEventListener('click', () => this.toggleDetection());
         this.clearButton.addEventListener('click', () => this.clearDetections());
+        this.recordButton.addEventListener('click', () => this.toggleRecording());
+        this.exportJsonlButton.addEventListener('click', () => this.exportSession('jsonl'));
+        this.exportCsvButton.addEventListener('click', () => this.exportSession('csv'));
+        this.exportCocoButton.addEventListener('click', () => this.exportSession('coco'));
         this.retryButton.addEventListener('click', () => this.initializeCamera());
         
         // Settings controls
         this.confidenceSlider.addEventListener('input', (e) => {
             this.settings.confidenceThreshold = parseFloat(e.target.value);
             this.confidenceValue.textContent = this.settings.confidenceThreshold.toFixed(1);
+            this.applyDetectionSettings();
+            this.renderCocoClasses();
+            this.saveSettings();
+        });
+        
+        this.maxDetectionsInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.settings.maxDetections = Math.min(100, Math.max(1, value || this.settings.maxDetections));
+            e.target.value = this.settings.maxDetections;
+            this.applyDetectionSettings();
+            this.saveSettings();
         });
         
         this.showConfidenceToggle.addEventListener('change', (e) => {
             this.settings.showConfidence = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.enableSoundToggle.addEventListener('change', (e) => {
+            this.settings.soundEnabled = e.target.checked;
+            if (this.settings.soundEnabled) {
+                this.alertSound.unlock();
+            }
+            this.saveSettings();
+        });
+        
+        // Performance
+        this.inferenceRateSelect.addEventListener('change', (e) => {
+            this.settings.maxInferenceRate = parseInt(e.target.value, 10);
+            this.applyPerformanceSettings();
+            this.saveSettings();
+        });
+        
+        this.autoScaleToggle.addEventListener('change', (e) => {
+            this.settings.autoScale = e.target.checked;
+            this.applyPerformanceSettings();
+            this.updateStatisticsDisplay();
+            this.saveSettings();
+        });
+        
+        this.backendSelect.addEventListener('change', (e) => {
+            this.switchBackend(e.target.value).catch(() => {});
+        });
+        
+        // Privacy
+        this.privacyModeSelect.addEventListener('change', (e) => {
+            this.settings.privacyMode = e.target.value;
+            this.updatePrivacy();
+        });
+        
+        this.redactClassesSelect.addEventListener('change', (e) => {
+            this.settings.redactClasses = Array.from(e.target.selectedOptions, option => option.value);
+            this.updatePrivacy();
+        });
+        
+        this.hideVideoToggle.addEventListener('change', (e) => {
+            this.settings.hideRawVideo = e.target.checked;
+            this.updatePrivacy();
+        });
+        
+        // Streaming
+        this.streamModeSelect.addEventListener('change', (e) => {
+            this.settings.streamMode = e.target.value;
+            this.updateStreaming();
+        });
+        
+        this.streamUrlInput.addEventListener('change', (e) => {
+            this.settings.streamUrl = e.target.value.trim();
+            this.updateStreaming();
+        });
+        
+        this.streamPayloadSelect.addEventListener('change', (e) => {
+            this.settings.streamPayload = e.target.value;
+            this.streamedTracks.clear();
+            this.saveSettings();
+        });
+        
+        this.streamBatchInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            this.settings.streamBatchInterval = Math.min(60, Math.max(0.1, value || this.settings.streamBatchInterval));
+            e.target.value = this.settings.streamBatchInterval;
+            this.updateStreaming();
+        });
+        
+        // Smoothing
+        this.smoothingModeSelect.addEventListener('change', (e) => {
+            this.settings.smoothingMode = e.target.value;
+            this.updateSmoothing();
+        });
+        
+        this.smoothingStrengthSlider.addEventListener('input', (e) => {
+            this.settings.smoothingStrength = parseFloat(e.target.value);
+            this.smoothingStrengthValue.textContent = this.settings.smoothingStrength.toFixed(1);
+            this.updateSmoothing();
+        });
+        
+        this.hysteresisToggle.addEventListener('change', (e) => {
+            this.settings.hysteresis = e.target.checked;
+            this.updateSmoothing();
+        });
+        
+        this.persistMarginInput.addEventListener('change', (e) => {
+            this.settings.persistMargin = Math.min(0.5, Math.max(0.05, parseFloat(e.target.value) || this.settings.persistMargin));
+            e.target.value = this.settings.persistMargin;
+            this.updateSmoothing();
+        });
+        
+        this.confirmToggle.addEventListener('change', (e) => {
+            this.settings.confirmNewObjects = e.target.checked;
+            this.updateSmoothing();
+        });
+        
+        this.confirmFramesInput.addEventListener('change', (e) => {
+            this.settings.confirmFrames = Math.min(30, Math.max(2, parseInt(e.target.value, 10) || this.settings.confirmFrames));
+            e.target.value = this.settings.confirmFrames;
+            this.updateSmoothing();
+        });
+        
+        this.showRawBoxesToggle.addEventListener('change', (e) => {
+            this.settings.showRawBoxes = e.target.checked;
+            this.saveSettings();
+            this.drawDetections();
+        });
+        
+        // Analytics
+        this.analyticsRange.addEventListener('change', () => this.renderAnalytics());
+        this.heatmapClassSelect.addEventListener('change', () => this.renderAnalytics());
+        this.resetAnalyticsButton.addEventListener('click', () => {
+            this.analytics.reset();
+            this.renderAnalytics();
+        });
+        window.addEventListener('resize', () => this.renderAnalytics());
+        
+        // Clips and snapshots
+        this.snapshotButton.addEventListener('click', () => this.takeSnapshot());
+        this.clipButton.addEventListener('click', () => this.toggleClip());
+        this.autoRecordToggle.addEventListener('change', (e) => this.setAutoRecord(e.target.checked));
+        
+        this.autoRecordClassSelect.addEventListener('change', (e) => {
+            this.settings.autoRecordClass = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.preRollInput.addEventListener('change', (e) => {
+            this.settings.clipPreRoll = Math.min(30, Math.max(1, parseFloat(e.target.value) || this.settings.clipPreRoll));
+            e.target.value = this.settings.clipPreRoll;
+            if (this.autoRecordToggle.checked) {
+                this.clipRecorder.arm(this.settings.clipPreRoll);
+            }
+            this.saveSettings();
+        });
+        
+        this.postRollInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            this.settings.clipPostRoll = isNaN(value) ? this.settings.clipPostRoll : Math.max(0, value);
+            e.target.value = this.settings.clipPostRoll;
+            this.saveSettings();
+        });
+        
+        this.clipsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-clip]');
+            if (button) {
+                const [clip] = this.clips.splice(parseInt(button.dataset.removeClip, 10), 1);
+                URL.revokeObjectURL(clip.url);
+                this.renderClipsList();
+            }
+        });
+        
+        // Alert rules
+        this.alertTypeSelect.addEventListener('change', (e) => {
+            this.alertCountFields.classList.toggle('hidden', e.target.value === 'appear');
+        });
+        
+        this.addAlertRuleButton.addEventListener('click', () => this.addAlertRule());
+        
+        this.alertRulesList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-rule]');
+            if (button) {
+                this.alertEngine.removeRule(parseInt(button.dataset.removeRule, 10));
+                this.renderAlertRules();
+                this.saveSettings();
+            }
+        });
+        
+        this.alertRulesList.addEventListener('change', (e) => {
+            if (e.target.dataset.toggleRule) {
+                this.alertEngine.setRuleEnabled(parseInt(e.target.dataset.toggleRule, 10), e.target.checked);
+                this.saveSettings();
+            }
+        });
+        
+        this.clearAlertHistoryButton.addEventListener('click', () => {
+            this.alertEngine.clearHistory();
+            this.renderAlertHistory();
+        });
+        
+        // Zone drawing on the detection canvas
+        this.drawZoneButton.addEventListener('click', () => this.startZoneDrawing('polygon'));
+        this.drawTripwireButton.addEventListener('click', () => this.startZoneDrawing('line'));
+        this.finishZoneButton.addEventListener('click', () => this.finishZoneDrawing());
+        this.cancelZoneButton.addEventListener('click', () => this.cancelZoneDrawing());
+        
+        this.canvas.addEventListener('click', (e) => {
+            if (!this.zoneManager.draft) return;
+            if (this.zoneManager.addDraftPoint(this.canvasPoint(e))) {
+                this.finishZoneDrawing();
+            } else {
+                this.drawDetections();
+            }
+        });
+        
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.zoneManager.draft) {
+                this.finishZoneDrawing();
+            }
+        });
+        
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.zoneManager.draft) return;
+            this.zoneManager.draft.cursor = this.canvasPoint(e);
+            this.drawDetections();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.zoneManager.draft) {
+                this.cancelZoneDrawing();
+            }
+        });
+        
+        // Annotation editing on the detection canvas
+        this.startAnnotationButton.addEventListener('click', () => this.startAnnotation());
+        this.saveAnnotationFrameButton.addEventListener('click', () => this.saveAnnotationFrame());
+        this.cancelAnnotationButton.addEventListener('click', () => this.endAnnotation());
+        this.deleteAnnotationBoxButton.addEventListener('click', () => this.deleteAnnotationBox());
+        this.annotationClassSelect.addEventListener('change', (e) => {
+            if (this.annotationEditor.setSelectedClass(e.target.value)) {
+                this.drawDetections();
+            }
+        });
+        this.exportDatasetButton.addEventListener('click', () => this.exportDataset());
+        this.clearDatasetButton.addEventListener('click', () => {
+            this.annotationEditor.clearFrames();
+            this.updateDatasetStatus();
+        });
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.annotationEditor.active) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.annotationEditor.pointerDown(this.annotationPoint(e), this.annotationClassSelect.value, 8 * this.canvasPixelRatio());
+            this.updateAnnotationControls();
+            this.drawDetections();
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.annotationEditor.active && this.annotationEditor.pointerMove(this.annotationPoint(e))) {
+                this.drawDetections();
+            }
+        });
+        
+        ['pointerup', 'pointercancel'].forEach(eventName => {
+            this.canvas.addEventListener(eventName, () => {
+                if (!this.annotationEditor.active) return;
+                this.annotationEditor.pointerUp();
+                this.updateAnnotationControls();
+                this.drawDetections();
+            });
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.annotationEditor.active || e.target.closest('input, select, textarea')) return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteAnnotationBox();
+            } else if (e.key === 'Escape') {
+                this.endAnnotation();
+            }
+        });
+        
+        this.zoneFilterToggle.addEventListener('change', (e) => {
+            this.settings.zoneFilter = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.zonesList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-zone]');
+            if (button) {
+                this.zoneManager.removeZone(parseInt(button.dataset.removeZone, 10));
+                this.renderZonesList();
+                this.updateZoneStats();
+                this.drawDetections();
+            }
+        });
+        
+        this.resetZoneCountsButton.addEventListener('click', () => {
+            this.zoneManager.resetCounts();
+            this.updateZoneStats();
         });
         
         this.cameraSelect.addEventListener('change', (e) => {
             if (e.target.value) {
-                this.switchCamera(e.target.value);
+                this.preferredCameraId = e.target.value;
+                this.saveSettings();
+                this.initializeCamera({ deviceId: e.target.value });
+            }
+        });
+        
+        this.cameraResolutionSelect.addEventListener('change', (e) => {
+            this.settings.cameraResolution = e.target.value;
+            this.saveSettings();
+            this.initializeCamera({ resolution: this.settings.cameraResolution });
+        });
+        
+        this.cameraFrameRateSelect.addEventListener('change', (e) => {
+            this.settings.cameraFrameRate = parseInt(e.target.value, 10);
+            this.saveSettings();
+            this.initializeCamera({ frameRate: this.settings.cameraFrameRate });
+        });
+        
+        this.facingButton.addEventListener('click', () => this.toggleFacingMode());
+        
+        // Input sources
+        this.useCameraButton.addEventListener('click', () => this.initializeCamera());
+        this.openFilesButton.addEventListener('click', () => this.fileInput.click());
+        this.openFolderButton.addEventListener('click', () => this.folderInput.click());
+        this.useFileButton.addEventListener('click', () => this.fileInput.click());
+        
+        [this.fileInput, this.folderInput].forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.openFiles(e.target.files);
+                e.target.value = '';
+            });
+        });
+        
+        this.cameraContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.cameraContainer.classList.add('drag-over');
+        });
+        this.cameraContainer.addEventListener('dragleave', () => {
+            this.cameraContainer.classList.remove('drag-over');
+        });
+        this.cameraContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.cameraContainer.classList.remove('drag-over');
+            this.openFiles(e.dataTransfer.files);
+        });
+        
+        // Video file transport
+        this.videoPlayPauseButton.addEventListener('click', () => {
+            // A pause before playback starts rejects play() with an AbortError
+            this.source.togglePlayback().catch(error => {
+                if (error.name !== 'AbortError') {
+                    this.showError('Failed to play the video: ' + error.message);
+                }
+            });
+        });
+        this.videoStepBackButton.addEventListener('click', () => this.source.step(-1));
+        this.videoStepForwardButton.addEventListener('click', () => this.source.step(1));
+        this.videoSeek.addEventListener('input', (e) => {
+            this.source.seek((e.target.value / 1000) * this.source.duration);
+        });
+        
+        this.runBatchButton.addEventListener('click', () => this.runBatch());
+        this.batchResultsBody.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-batch-index]');
+            if (row && !this.batchRunning) {
+                this.showBatchImage(parseInt(row.dataset.batchIndex, 10));
             }
         });
         
+        // Model selection
+        this.modelSelect.addEventListener('change', (e) => {
+            this.switchModel(e.target.value).catch(() => {});
+        });
+        this.loadCustomModelButton.addEventListener('click', () => this.loadCustomModel());
+        
         // Search functionality
         this.classSearch.addEventListener('input', (e) => {
             this.filterCocoClasses(e.target.value);
         });
         
+        // Per-class include/exclude, threshold and color
+        this.cocoClassesList.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-class]');
+            if (!item) return;
+            
+            const className = item.dataset.class;
+            if (e.target.matches('[data-class-enabled]')) {
+                this.classFilter.setEnabled(className, e.target.checked);
+                item.classList.toggle('excluded', !e.target.checked);
+            } else if (e.target.matches('[data-class-threshold]')) {
+                const value = parseFloat(e.target.value);
+                this.classFilter.setThreshold(className, isNaN(value) ? null : Math.min(1, Math.max(0.05, value)));
+            } else if (e.target.matches('[data-class-color]')) {
+                this.classFilter.setColor(className, e.target.value);
+                this.drawDetections();
+            }
+            this.saveSettings();
+        });
+        
+        this.classPresetSelect.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.classFilter.applyPreset(e.target.value, this.labels);
+            this.presetNameInput.value = e.target.value;
+            this.renderCocoClasses();
+            this.drawDetections();
+            this.saveSettings();
+        });
+        
+        this.savePresetButton.addEventListener('click', () => this.saveClassPreset());
+        this.deletePresetButton.addEventListener('click', () => {
+            this.classFilter.deletePreset(this.classPresetSelect.value);
+            this.renderClassPresets();
+        });
+        
         // Video element events
-        this.videoElement.addEventListener('loadedmetadata', () => {
-            this.setupCanvas();
-            this.hideOverlay();
-            this.cameraReady = true;
-            this.updateButtonStates();
+        ['play', 'pause', 'timeupdate', 'durationchange'].forEach(eventName => {
+            this.videoElement.addEventListener(eventName, () => this.updateVideoControls());
+        });
+        
+        // Show detections for the frame a paused video was stepped or seeked to
+        this.videoElement.addEventListener('seeked', () => {
+            if (this.source && this.source.kind === 'video' && !this.isDetecting && this.modelLoaded &&
+                !this.annotationEditor.active) {
+                this.runDetection().catch(error => console.error('Detection error:', error));
+            }
+        });
+        
+        // End the running session when the page goes away
+        window.addEventListener('pagehide', () => this.endSession());
+        
+        // Cameras change size when a phone is rotated; a frame being
+        // annotated keeps its size
+        this.videoElement.addEventListener('resize', () => {
+            if (this.source && this.source.kind === 'camera' && this.sourceReady && !this.annotationEditor.active) {
+                this.setupCanvas();
+                this.drawDetections();
+            }
         });
         
         this.videoElement.addEventListener('error', () => {
-            this.showError('Video stream error occurred');
+            if (this.source && this.source.element === this.videoElement) {
+                this.showError('Video stream error occurred');
+            }
         });
     }
     
-    async loadModel() {
+    // Loads a registry entry into the detector, replacing the active model.
+    // Live detection pauses while the model loads.
+    async loadModel(modelId = this.modelRegistry.defaultId) {
+        const wasDetecting = this.isDetecting;
+        if (wasDetecting) {
+            this.toggleDetection();
+        }
+        
         try {
-            this.modelStatus.textContent = 'Loading Model...';
-            this.modelStatus.className = 'status status--loading';
-            
-            // Check if TensorFlow.js is available
-            if (typeof tf === 'undefined') {
-                throw new Error('TensorFlow.js not loaded');
-            }
+            this.modelLoaded = false;
+            this.updateButtonStates();
             
-            if (typeof cocoSsd === 'undefined') {
-                throw new Error('COCO-SSD model not loaded');
-            }
+            const entry = await this.core.load(modelId);
             
-            // Load COCO-SSD model with timeout
-            const modelPromise = cocoSsd.load();
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Model loading timeout')), 30000)
-            );
+            this.activeModel = entry;
+            this.setLabels(entry.labels);
+            this.modelSelect.value = entry.id;
             
-            this.model = await Promise.race([modelPromise, timeoutPromise]);
+            // Custom models come from files or URLs picked for this visit only
+            if (entry.type !== 'graph') {
+                this.preferredModelId = entry.id;
+                this.saveSettings();
+            }
             
-            this.modelStatus.textContent = 'Model Ready';
-            this.modelStatus.className = 'status status--ready';
             this.modelLoaded = true;
             this.updateButtonStates();
+            this.updateStatisticsDisplay();
+            this.updateMemoryStats();
             
-            console.log('COCO-SSD model loaded successfully');
+            console.log(`${entry.name} loaded successfully (${this.core.detector.kind} thread)`);
+            
+            if (wasDetecting && this.sourceReady) {
+                this.toggleDetection();
+            }
         } catch (error) {
             console.error('Model loading error:', error);
-            this.modelStatus.textContent = 'Model Load Failed';
-            this.modelStatus.className = 'status status--error';
             this.showError('Failed to load AI model: ' + error.message);
             throw error;
         }
     }
     
-    async initializeCamera() {
+    // Switches models at runtime, going back to the previous model if the
+    // new one fails to load
+    async switchModel(modelId) {
+        const previous = this.activeModel;
+        
         try {
-            this.showOverlay('Requesting Camera Access...');
-            
-            // Check if getUserMedia is available
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                throw new Error('Camera API not supported in this browser');
+            await this.loadModel(modelId);
+        } catch (error) {
+            if (previous && previous.id !== modelId) {
+                try {
+                    await this.loadModel(previous.id);
+                    if (this.sourceReady) {
+                        this.hideOverlay();
+                    }
+                } catch (restoreError) {
+                    console.error('Failed to restore previous model:', restoreError);
+                }
             }
-            
-            // Get available cameras
-            await this.getCameraDevices();
-            
-            // Request camera access with timeout
-            const constraints = {
-                video: {
-                    width: { ideal: 640 },
-                    height: { ideal: 480 },
-                    facingMode: 'user'
+            this.modelSelect.value = this.activeModel ? this.activeModel.id : modelId;
+            throw error;
+        }
+    }
+    
+    // Reloads the active model on another TF.js backend, going back to the
+    // previous backend if the new one fails
+    async switchBackend(backend) {
+        const previous = this.settings.backend;
+        this.settings.backend = backend;
+        this.applyDetectionSettings();
+        if (!this.activeModel) {
+            this.saveSettings();
+            return;
+        }
+        
+        try {
+            await this.loadModel(this.activeModel.id);
+            this.saveSettings();
+        } catch (error) {
+            this.settings.backend = previous;
+            this.applyDetectionSettings();
+            this.backendSelect.value = previous;
+            try {
+                await this.loadModel(this.activeModel.id);
+                if (this.sourceReady) {
+                    this.hideOverlay();
                 }
-            };
-            
-            const streamPromise = navigator.mediaDevices.getUserMedia(constraints);
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Camera access timeout')), 10000)
-            );
-            
-            this.stream = await Promise.race([streamPromise, timeoutPromise]);
-            this.videoElement.srcObject = this.stream;
-            
-            // Update overlay message
-            this.showOverlay('Initializing Video...');
-            
+            } catch (restoreError) {
+                console.error('Failed to restore previous backend:', restoreError);
+            }
+            throw error;
+        }
+    }
+    
+    async loadCustomModel() {
+        this.customModelError.classList.add('hidden');
+        this.loadCustomModelButton.disabled = true;
+        
+        try {
+            const entry = await this.createCustomModelEntry();
+            this.renderModelOptions();
+            await this.switchModel(entry.id);
         } catch (error) {
-            console.error('Camera initialization error:', error);
-            let errorMessage = 'Unable to access camera. ';
+            this.customModelError.textContent = error.message;
+            this.customModelError.classList.remove('hidden');
+        } finally {
+            this.loadCustomModelButton.disabled = false;
+        }
+    }
+    
+    // Registers a custom graph model from the picked files, or else from
+    // the model and label map URLs
+    async createCustomModelEntry() {
+        const files = Array.from(this.customModelFiles.files);
+        
+        if (files.length > 0) {
+            const modelFile = files.find(file => file.name.endsWith('model.json')) ||
+                files.find(file => file.name.endsWith('.json'));
+            const weightFiles = files.filter(file => file.name.endsWith('.bin'));
+            const labelFile = files.find(file => file !== modelFile && /\.(txt|pbtxt|json)$/i.test(file.name));
             
-            if (error.name === 'NotAllowedError') {
-                errorMessage += 'Please grant camera permission and try again.';
-            } else if (error.name === 'NotFoundError') {
-                errorMessage += 'No camera device found.';
-            } else if (error.name === 'NotReadableError') {
-                errorMessage += 'Camera is already in use by another application.';
-            } else {
-                errorMessage += error.message;
+            if (!modelFile) {
+                throw new Error('Select the model.json file together with its weight files.');
+            }
+            if (!labelFile) {
+                throw new Error('Select a label map (.txt, .pbtxt or .json) with the model files.');
             }
             
-            this.showError(errorMessage);
+            return this.modelRegistry.registerCustom({
+                name: modelFile.name,
+                files: [modelFile, ...weightFiles],
+                labelMap: parseLabelMap(await labelFile.text())
+            });
+        }
+        
+        const url = this.customModelUrl.value.trim();
+        const labelsUrl = this.customLabelsUrl.value.trim();
+        if (!url || !labelsUrl) {
+            throw new Error('Enter a model.json URL and a label map URL, or pick local files.');
+        }
+        
+        const response = await fetch(labelsUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch label map (${response.status})`);
+        }
+        
+        return this.modelRegistry.registerCustom({
+            name: url.split('/').slice(-2).join('/'),
+            url: new URL(url, location.href).href,
+            labelMap: parseLabelMap(await response.text())
+        });
+    }
+    
+    renderModelOptions() {
+        let html = '';
+        this.modelRegistry.list().forEach(entry => {
+            html += `<option value="${entry.id}">${escapeHTML(entry.name)}</option>`;
+        });
+        this.modelSelect.innerHTML = html;
+        this.modelSelect.value = this.activeModel ? this.activeModel.id : this.modelRegistry.defaultId;
+    }
+    
+    setLabels(labels) {
+        this.labels = labels;
+        this.classCountEl.textContent = labels.length;
+        this.renderCocoClasses();
+        this.updateClassCounts();
+        this.renderAlertClassOptions();
+        this.renderAutoRecordOptions();
+        this.renderRedactClassOptions();
+        this.renderAnnotationClassOptions();
+    }
+    
+    // Opens the camera with the saved preferences, after applying any of
+    // { deviceId, facingMode, resolution, frameRate } given. Progress,
+    // failures and reconnects are shown by updateCameraState().
+    async initializeCamera(options = {}) {
+        try {
+            await this.camera.open(options);
+        } catch (error) {
+            console.error('Camera initialization error:', error);
+        }
+    }
+    
+    cameraErrorMessage(error) {
+        let errorMessage = 'Unable to access camera. ';
+        
+        if (error.name === 'NotAllowedError') {
+            errorMessage += 'Please grant camera permission and try again.';
+        } else if (error.name === 'NotFoundError') {
+            errorMessage += 'No camera device found.';
+        } else if (error.name === 'NotReadableError') {
+            errorMessage += 'Camera is already in use by another application.';
+        } else if (error.name === 'OverconstrainedError') {
+            errorMessage += 'The camera does not support the selected settings.';
+        } else {
+            errorMessage += error.message;
+        }
+        return errorMessage;
+    }
+    
+    updateCameraState(state, error) {
+        const labels = {
+            requesting: ['Camera: Connecting...', 'status--loading'],
+            live: ['Camera: Live', 'status--ready'],
+            reconnecting: ['Camera: Reconnecting...', 'status--warning'],
+            error: ['Camera: Error', 'status--error']
+        };
+        
+        this.cameraStatus.classList.toggle('hidden', state === 'idle');
+        if (state !== 'idle') {
+            const [text, className] = labels[state];
+            this.cameraStatus.textContent = text;
+            this.cameraStatus.className = `status ${className}`;
+            this.cameraStatus.title = error ? error.message : '';
+        }
+        
+        if (state === 'requesting') {
+            this.showOverlay('Requesting Camera Access...');
+        } else if (state === 'reconnecting') {
+            this.showOverlay('Camera disconnected. Reconnecting...');
+        } else if (state === 'error') {
+            this.showError(this.cameraErrorMessage(error));
+        }
+        
+        this.updateCameraControls();
+    }
+    
+    renderCameraOptions(devices) {
+        this.cameraSelect.innerHTML = '<option value="">Select Camera</option>';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Camera ${index + 1}`;
+            this.cameraSelect.appendChild(option);
+        });
+        
+        // Show the camera that is actually open
+        const activeId = this.camera.activeDeviceId;
+        if (activeId && devices.some(device => device.deviceId === activeId)) {
+            this.cameraSelect.value = activeId;
+        }
+        this.updateCameraControls();
+    }
+    
+    // Offers the resolutions and frame rates the open camera supports
+    updateCameraControls() {
+        const resolutions = this.camera.resolutionOptions();
+        if (!resolutions.includes(this.settings.cameraResolution)) {
+            resolutions.push(this.settings.cameraResolution);
+        }
+        this.cameraResolutionSelect.innerHTML = resolutions
+            .map(resolution => `<option value="${resolution}">${resolution.replace('x', ' × ')}</option>`)
+            .join('');
+        this.cameraResolutionSelect.value = this.settings.cameraResolution;
+        
+        const frameRates = this.camera.frameRateOptions();
+        if (this.settings.cameraFrameRate > 0 && !frameRates.includes(this.settings.cameraFrameRate)) {
+            frameRates.push(this.settings.cameraFrameRate);
+        }
+        this.cameraFrameRateSelect.innerHTML = '<option value="0">Camera default</option>' + frameRates
+            .map(rate => `<option value="${rate}">${rate} fps</option>`)
+            .join('');
+        this.cameraFrameRateSelect.value = this.settings.cameraFrameRate;
+        
+        const busy = this.camera.state === 'requesting';
+        this.cameraSelect.disabled = busy;
+        this.cameraResolutionSelect.disabled = busy;
+        this.cameraFrameRateSelect.disabled = busy;
+        this.facingButton.disabled = busy;
+        this.facingButton.classList.toggle('hidden', !this.camera.canSwitchFacing);
+        this.facingButton.textContent = this.settings.cameraFacing === 'environment'
+            ? 'Use Front Camera'
+            : 'Use Back Camera';
+    }
+    
+    toggleFacingMode() {
+        this.settings.cameraFacing = this.settings.cameraFacing === 'environment' ? 'user' : 'environment';
+        this.preferredCameraId = null;
+        this.saveSettings();
+        this.initializeCamera({ facingMode: this.settings.cameraFacing });
+    }
+    
+    // Makes `source` the input for detection. Live detection pauses while the
+    // new source loads and resumes once its first frame is available.
+    async setSource(source) {
+        const wasDetecting = this.isDetecting;
+        if (wasDetecting) {
+            this.toggleDetection();
+        }
+        
+        if (this.annotationEditor.active) {
+            this.endAnnotation();
+        }
+        if (this.source && this.source !== source) {
+            this.source.stop();
+        }
+        if (source.kind !== 'camera') {
+            this.camera.close();
+        }
+        
+        this.source = source;
+        this.sourceReady = false;
+        this.currentDetections = [];
+        this.rawDetections = [];
+        this.privacyFrameReady = false;
+        this.tracker.clearTracks();
+        this.updateButtonStates();
+        
+        this.videoElement.classList.toggle('hidden', source.element !== this.videoElement);
+        this.imageElement.classList.toggle('hidden', source.element !== this.imageElement);
+        this.videoControls.classList.toggle('hidden', source.kind !== 'video');
+        this.batchPanel.classList.toggle('hidden', source.kind !== 'batch');
+        this.sourceLabel.textContent = source.kind === 'batch'
+            ? `${source.files.length} images`
+            : source.label;
+        
+        if (source.kind === 'batch') {
+            this.batchResults = [];
+            this.renderBatchResults();
+        }
+        
+        await source.start();
+        
+        // Another source may have been chosen while this one was loading
+        if (this.source !== source) return;
+        
+        this.setupCanvas();
+        this.hideOverlay();
+        this.sourceReady = true;
+        this.updateButtonStates();
+        this.drawDetections();
+        
+        if (wasDetecting) {
+            this.toggleDetection();
+        }
+    }
+    
+    async openFiles(files) {
+        const source = createFileSource(files, {
+            videoElement: this.videoElement,
+            imageElement: this.imageElement
+        });
+        
+        if (!source) {
+            this.showError('Unsupported file type. Please choose images or a video file.');
+            return;
+        }
+        
+        try {
+            this.showOverlay(`Loading ${source.label}...`);
+            await this.setSource(source);
+        } catch (error) {
+            console.error('File source error:', error);
+            this.showError(`Failed to open ${source.label}: ${error.message}`);
+        }
+    }
+    
+    updateVideoControls() {
+        if (!this.source || this.source.kind !== 'video') return;
+        
+        const { currentTime, duration, paused } = this.source;
+        this.videoPlayPauseButton.textContent = paused ? 'Play' : 'Pause';
+        this.videoSeek.value = duration ? Math.round((currentTime / duration) * 1000) : 0;
+        this.videoTime.textContent = `${formatClock(currentTime)} / ${formatClock(duration)}`;
+    }
+    
+    async runBatch() {
+        if (!this.modelLoaded || !this.source || this.source.kind !== 'batch') return;
+        
+        if (this.isDetecting) {
+            this.toggleDetection();
+        }
+        
+        const source = this.source;
+        this.batchRunning = true;
+        this.batchResults = [];
+        this.renderBatchResults();
+        this.updateButtonStates();
+        
+        try {
+            for (let index = 0; index < source.files.length; index++) {
+                if (this.source !== source) break;
+                
+                const detections = await this.showBatchImage(index);
+                this.batchResults[index] = {
+                    name: source.files[index].webkitRelativePath || source.files[index].name,
+                    detections,
+                    detectionTime: this.stats.detectionTime
+                };
+                this.renderBatchResults();
+            }
+        } catch (error) {
+            console.error('Batch error:', error);
+            this.showError('Batch processing failed: ' + error.message);
+        } finally {
+            this.batchRunning = false;
+            this.updateButtonStates();
+        }
+    }
+    
+    // Shows one image of the batch and runs detection on it
+    async showBatchImage(index) {
+        await this.source.showIndex(index);
+        this.setupCanvas();
+        this.tracker.clearTracks();
+        
+        const detections = await this.runDetection();
+        this.updateStatisticsDisplay();
+        return detections;
+    }
+    
+    renderBatchResults() {
+        const total = this.source && this.source.kind === 'batch' ? this.source.files.length : 0;
+        const processed = this.batchResults.filter(Boolean).length;
+        this.batchProgress.textContent = `${processed} of ${total} images processed`;
+        this.runBatchButton.disabled = this.batchRunning || !this.modelLoaded;
+        
+        let html = '';
+        this.batchResults.forEach((result, index) => {
+            if (!result) return;
+            
+            const counts = {};
+            result.detections.forEach(detection => {
+                counts[detection.class] = (counts[detection.class] || 0) + 1;
+            });
+            const classes = Object.entries(counts)
+                .map(([className, count]) => `${escapeHTML(className)} × ${count}`)
+                .join(', ');
+            
+            html += `
+                <tr data-batch-index="${index}">
+                    <td class="batch-file">${escapeHTML(result.name)}</td>
+                    <td>${result.detections.length}</td>
+                    <td>${classes || '—'}</td>
+                    <td>${result.detectionTime}ms</td>
+                </tr>
+            `;
+        });
+        
+        this.batchResultsBody.innerHTML = html;
+    }
+    
+    setupCanvas() {
+        this.canvas.width = this.source.width;
+        this.canvas.height = this.source.height;
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+        
+        // Match the view to the source so the overlay lines up with the frame
+        this.cameraContainer.style.aspectRatio = `${this.source.width} / ${this.source.height}`;
+    }
+    
+    updateButtonStates() {
+        const canDetect = this.modelLoaded && this.sourceReady && !this.batchRunning;
+        this.toggleButton.disabled = !canDetect || this.annotationEditor.active;
+        this.runBatchButton.disabled = this.batchRunning || !this.modelLoaded;
+        this.snapshotButton.disabled = !this.sourceReady;
+        this.startAnnotationButton.disabled = !this.sourceReady || this.batchRunning || this.annotationEditor.active;
+        this.clipButton.disabled = !this.clipRecorder ||
+            (!this.sourceReady && !this.clipRecorder.isRecording);
+        this.autoRecordToggle.disabled = !this.clipRecorder;
+        
+        if (!canDetect) {
+            this.toggleButton.textContent = 'Initializing...';
+            this.toggleButton.className = 'btn btn--secondary btn--full-width';
+        } else if (!this.isDetecting) {
+            this.toggleButton.textContent = 'Start Detection';
+            this.toggleButton.className = 'btn btn--primary btn--full-width';
+        }
+    }
+    
+    async toggleDetection() {
+        if (!this.modelLoaded) {
+            this.showError('Model not loaded yet');
+            return;
+        }
+        
+        if (!this.source) {
+            this.showError('No input source selected');
+            return;
+        }
+        
+        this.isDetecting = !this.isDetecting;
+        
+        if (this.isDetecting) {
+            this.toggleButton.textContent = 'Stop Detection';
+            this.toggleButton.className = 'btn btn--stop btn--full-width';
+            this.startDetection();
+        } else {
+            this.toggleButton.textContent = 'Start Detection';
+            this.toggleButton.className = 'btn btn--primary btn--full-width';
+            this.stopDetection();
+        }
+    }
+    
+    startDetection() {
+        this.stats.lastTime = Date.now();
+        this.stats.renderFrames = 0;
+        this.stats.inferenceFrames = 0;
+        this.startSession();
+        this.renderLoop();
+    }
+    
+    stopDetection() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.endSession();
+    }
+    
+    // A session covers one run of live detection and is kept in the
+    // session history
+    startSession() {
+        this.sessionSummary = new SessionSummary({
+            source: this.source.label,
+            model: this.activeModel.name
+        });
+        this.sessionSavedAt = Date.now();
+    }
+    
+    updateSession() {
+        if (!this.sessionSummary) return;
+        
+        this.sessionSummary.update(this.currentDetections);
+        if (Date.now() - this.sessionSavedAt >= this.sessionSaveInterval) {
+            this.saveSession();
+        }
+    }
+    
+    endSession() {
+        if (!this.sessionSummary) return;
+        
+        this.saveSession();
+        this.sessionSummary = null;
+    }
+    
+    // Sessions are saved periodically so a crash or closed tab loses
+    // little; sessions without a single processed frame are not kept
+    saveSession() {
+        this.sessionSavedAt = Date.now();
+        if (!this.sessionHistory || this.sessionSummary.frames === 0) return;
+        
+        this.sessionHistory.save(this.sessionSummary.toRecord()).catch(error => {
+            console.warn('Failed to save session history:', error);
+        });
+    }
+    
+    // Draws at display rate and hands frames to the model whenever it is
+    // idle; frames that arrive while inference is busy are dropped
+    renderLoop() {
+        if (!this.isDetecting) return;
+        
+        const now = Date.now();
+        if (!this.inferenceBusy && this.governor.shouldRun(now)) {
+            this.detectFrame();
+        }
+        
+        this.drawDetections();
+        
+        // Calculate FPS
+        this.stats.renderFrames++;
+        const elapsed = now - this.stats.lastTime;
+        if (elapsed >= 1000) {
+            this.stats.renderFps = Math.round((this.stats.renderFrames * 1000) / elapsed);
+            this.stats.inferenceFps = Math.round((this.stats.inferenceFrames * 1000) / elapsed);
+            this.stats.renderFrames = 0;
+            this.stats.inferenceFrames = 0;
+            this.stats.lastTime = now;
+            this.updateStatisticsDisplay();
+            this.updateMemoryStats();
+            this.renderAnalytics();
+        }
+        
+        // Schedule next frame
+        this.animationFrame = requestAnimationFrame(() => this.renderLoop());
+    }
+    
+    async detectFrame() {
+        if (!this.isDetecting || !this.modelLoaded) return;
+        
+        this.inferenceBusy = true;
+        try {
+            await this.runDetection();
+            this.stats.inferenceFrames++;
+        } catch (error) {
+            console.error('Detection error:', error);
+            this.showError('Detection failed: ' + error.message);
+            if (this.isDetecting) {
+                this.toggleDetection();
+            }
+        } finally {
+            this.inferenceBusy = false;
+        }
+    }
+    
+    // Runs the model on the current frame of the active source and updates
+    // tracks, zones, the overlay and alerts. Returns the frame's detections.
+    async runDetection() {
+        // With the raw video hidden, detect on a copy of the frame so the
+        // view can show exactly the frame the boxes were found on
+        const hidesRawVideo = this.hidesRawVideo;
+        let input = this.source.element;
+        if (hidesRawVideo) {
+            this.pendingFrame.width = this.source.width;
+            this.pendingFrame.height = this.source.height;
+            this.pendingFrame.getContext('2d').drawImage(input, 0, 0, this.pendingFrame.width, this.pendingFrame.height);
+            input = this.pendingFrame;
+        }
+        
+        // Recorded images are copied now; once detection finishes a video
+        // or camera has moved on to a later frame
+        const startedAt = Date.now();
+        const recordedFrame = this.recorder.captureDue(startedAt) ? this.copySourceFrame(input) : null;
+        
+        const { detections, rawDetections, alerts, detectionTime } = await this.core.detect(input, {
+            live: this.isDetecting
+        });
+        
+        if (hidesRawVideo) {
+            [this.privacyFrame, this.pendingFrame] = [this.pendingFrame, this.privacyFrame];
+            this.privacyFrameReady = true;
+        }
+        
+        this.stats.detectionTime = detectionTime;
+        this.rawDetections = rawDetections;
+        this.currentDetections = detections;
+        
+        // Like analytics, only live detection is streamed
+        if (this.isDetecting) {
+            this.streamDetections(detections, alerts);
+        }
+        this.recordFrame(startedAt, recordedFrame);
+        this.updateSession();
+        
+        // Analytics follow live detection only, not batches or seeking
+        if (this.isDetecting) {
+            this.analytics.record(detections, this.canvas.width, this.canvas.height);
+        }
+        this.updateStatistics();
+        this.drawDetections();
+        this.updateDetectionsList();
+        this.updateClassCounts();
+        this.updateZoneStats();
+        this.processAlerts(alerts);
+        this.updateAutoRecord();
+        
+        return detections;
+    }
+    
+    updateStreaming() {
+        this.applyStreamSettings();
+        this.saveSettings();
+    }
+    
+    // Sends the frame, or in event mode the tracks that appeared and the
+    // alerts that fired
+    streamDetections(detections, alerts) {
+        if (!this.streamer.enabled) return;
+        
+        const timestamp = Date.now();
+        if (this.settings.streamPayload === 'frame') {
+            this.streamer.send({
+                type: 'frame',
+                timestamp,
+                source: this.source.kind,
+                model: this.activeModel.id,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                detections: detections.map(detectionPayload),
+                alerts
+            });
+            return;
+        }
+        
+        detections.forEach(detection => {
+            if (this.streamedTracks.has(detection.trackId)) return;
+            this.streamedTracks.add(detection.trackId);
+            this.streamer.send({ type: 'appear', timestamp, ...detectionPayload(detection) });
+        });
+        alerts.forEach(({ type, ...alert }) => {
+            this.streamer.send({ type: 'alert', ruleType: type, ...alert });
+        });
+    }
+    
+    streamTrackEnd(track) {
+        if (!this.streamedTracks.delete(track.id) || this.settings.streamPayload !== 'event') return;
+        
+        this.streamer.send({
+            type: 'leave',
+            timestamp: Date.now(),
+            trackId: track.id,
+            class: track.class,
+            dwellTime: track.lastSeen - track.firstSeen
+        });
+    }
+    
+    updateStreamStatus(status) {
+        const labels = {
+            connecting: ['Stream: Connecting...', 'status--loading'],
+            connected: ['Stream: Connected', 'status--ready'],
+            retrying: ['Stream: Retrying', 'status--error'],
+            error: ['Stream: Invalid URL', 'status--error']
+        };
+        
+        this.streamStatus.classList.toggle('hidden', status === 'off');
+        if (status === 'off') return;
+        
+        const [text, className] = labels[status];
+        this.streamStatus.textContent = text;
+        this.streamStatus.className = `status ${className}`;
+        this.streamStatus.title = this.settings.streamUrl;
+    }
+    
+    // Tallies zones and tripwires, then drops detections outside the zones
+    // when the zone filter is on
+    applyZones(detections, width, height) {
+        this.zoneManager.update(detections, width, height);
+        if (!this.settings.zoneFilter || this.zoneManager.polygons.length === 0) {
+            return detections;
+        }
+        
+        return detections.filter(detection => this.zoneManager.isInsideAnyZone(detection, width, height));
+    }
+    
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.recorder.stop();
+        } else {
+            this.recorder.start();
+        }
+        this.updateRecordingStatus();
+    }
+    
+    // `frame` is a copy of the frame the detections were found on, taken by
+    // runDetection() when a capture was due
+    recordFrame(timestamp, frame) {
+        if (!this.recorder.isRecording) return;
+        
+        this.recorder.record({
+            timestamp,
+            detections: this.currentDetections,
+            width: this.source.width,
+            height: this.source.height,
+            source: this.source.label,
+            captureFrame: frame ? () => {
+                this.redactCopy(frame);
+                return new Promise(resolve => frame.toBlob(resolve, 'image/jpeg', 0.9));
+            } : null
+        });
+        this.updateRecordingStatus();
+    }
+    
+    // Unredacted copy of `frame` at the source's size
+    copySourceFrame(frame) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.source.width;
+        canvas.height = this.source.height;
+        canvas.getContext('2d').drawImage(frame, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+    
+    // Redacts a frame copy in place in privacy mode, with the current boxes
+    redactCopy(canvas) {
+        if (this.settings.privacyMode !== 'off') {
+            this.redactor.redact(canvas.getContext('2d'), canvas, this.redactedBoxes(), canvas.width, canvas.height);
+        }
+    }
+    
+    // Copy of the current source frame, without the overlay but redacted
+    // in privacy mode
+    copyFrame() {
+        const canvas = this.copySourceFrame(this.hidesRawVideo ? this.privacyFrame : this.source.element);
+        this.redactCopy(canvas);
+        return canvas;
+    }
+    
+    updateRecordingStatus() {
+        const { frames, isRecording, captures, limitReached } = this.recorder;
+        const hasFrames = frames.length > 0;
+        
+        this.recordButton.textContent = isRecording ? 'Stop Recording' : 'Start Recording';
+        this.recordButton.className = `btn ${isRecording ? 'btn--stop' : 'btn--secondary'} btn--full-width`;
+        
+        if (!isRecording && !hasFrames) {
+            this.recordingStatus.textContent = 'No session recorded';
+        } else {
+            const state = isRecording ? 'Recording' : (limitReached ? 'Stopped at the frame limit' : 'Recorded');
+            this.recordingStatus.textContent =
+                `${state} · ${frames.length} frames · ${captures.size} images · ${formatClock(this.recorder.duration / 1000)}`;
+        }
+        
+        this.exportJsonlButton.disabled = !hasFrames;
+        this.exportCsvButton.disabled = !hasFrames;
+        this.exportCocoButton.disabled = !hasFrames;
+    }
+    
+    async exportSession(format) {
+        const baseName = `detections-${fileTimestamp(new Date(this.recorder.startedAt))}`;
+        
+        try {
+            if (format === 'jsonl') {
+                downloadBlob(new Blob([this.recorder.toJSONLines()], { type: 'application/x-ndjson' }), `${baseName}.jsonl`);
+            } else if (format === 'csv') {
+                downloadBlob(new Blob([this.recorder.toCSV()], { type: 'text/csv' }), `${baseName}.csv`);
+            } else {
+                this.exportCocoButton.disabled = true;
+                downloadBlob(await this.recorder.toCocoArchive(this.labels), `${baseName}-coco.zip`);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError('Failed to export session: ' + error.message);
+        } finally {
+            this.updateRecordingStatus();
+        }
+    }
+    
+    renderAnalytics() {
+        const resolution = this.analyticsRange.value;
+        const classes = this.analytics.topClasses(6);
+        const colorFor = className => this.classFilter.colorFor(className, this.labels);
+        const timeFormat = resolution === 'minute'
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+        
+        drawLineChart(this.analyticsChart, {
+            ...this.analytics.series(resolution, classes),
+            colorFor,
+            formatTime: time => new Date(time).toLocaleTimeString([], timeFormat)
+        });
+        
+        this.analyticsLegend.innerHTML = classes.map(className =>
+            `<span class="analytics-legend-item" style="--legend-color: ${colorFor(className)}">${escapeHTML(className)}</span>`
+        ).join('');
+        
+        let html = '';
+        this.analytics.topClasses().forEach(className => {
+            const peak = this.analytics.peaks[className];
+            const dwell = this.analytics.averageDwell(className, this.currentDetections);
+            html += `
+                <tr>
+                    <td>${escapeHTML(className)}</td>
+                    <td>${peak.count}</td>
+                    <td>${new Date(peak.time).toLocaleTimeString()}</td>
+                    <td>${dwell === null ? '—' : formatDuration(dwell)}</td>
+                </tr>
+            `;
+        });
+        this.analyticsTableBody.innerHTML = html || '<tr><td colspan="4">No detections yet</td></tr>';
+        
+        // Keep the chosen heatmap class while the list grows
+        const selected = this.heatmapClassSelect.value;
+        const heatmapClasses = this.analytics.classes.sort();
+        const options = heatmapClasses.map(className =>
+            `<option value="${escapeHTML(className)}">${escapeHTML(className)}</option>`
+        ).join('');
+        if (this.heatmapClassSelect.dataset.options !== options) {
+            this.heatmapClassSelect.dataset.options = options;
+            this.heatmapClassSelect.innerHTML = options;
+            this.heatmapClassSelect.value = heatmapClasses.includes(selected) ? selected : (heatmapClasses[0] || '');
         }
+        
+        const heatmapClass = this.heatmapClassSelect.value;
+        this.heatmapCanvas.style.aspectRatio = `${this.canvas.width || 4} / ${this.canvas.height || 3}`;
+        drawHeatmap(
+            this.heatmapCanvas,
+            this.analytics.heatmaps[heatmapClass],
+            this.analytics.heatmapColumns,
+            this.analytics.heatmapRows,
+            heatmapClass ? colorFor(heatmapClass) : '#FF5459'
+        );
+    }
+    
+    updateSmoothing() {
+        this.applySmoothingSettings();
+        this.saveSettings();
     }
     
-    async getCameraDevices() {
+    // What snapshots and clips show: the frame with the overlay on top
+    // With the raw video hidden the overlay already holds the whole frame
+    frameLayers() {
+        if (!this.sourceReady) return [];
+        return this.hidesRawVideo ? [this.canvas] : [this.source.element, this.canvas];
+    }
+    
+    async takeSnapshot() {
         try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            const videoDevices = devices.filter(device => device.kind === 'videoinput');
-            
-            // Populate camera select
-            this.cameraSelect.innerHTML = '<option value="">Select Camera</option>';
-            videoDevices.forEach((device, index) => {
-                const option = document.createElement('option');
-                option.value = device.deviceId;
-                option.textContent = device.label || `Camera ${index + 1}`;
-                this.cameraSelect.appendChild(option);
-            });
-            
+            const blob = await snapshotLayers(this.frameLayers());
+            downloadBlob(blob, `snapshot-${fileTimestamp(new Date())}.png`);
         } catch (error) {
-            console.error('Error getting camera devices:', error);
+            console.error('Snapshot error:', error);
+            this.showError('Failed to take snapshot: ' + error.message);
         }
     }
     
-    async switchCamera(deviceId) {
-        try {
-            if (this.stream) {
-                this.stream.getTracks().forEach(track => track.stop());
-            }
-            
-            const constraints = {
-                video: {
-                    deviceId: { exact: deviceId },
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
-                }
-            };
-            
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.videoElement.srcObject = this.stream;
-            
-        } catch (error) {
-            console.error('Camera switch error:', error);
-            this.showError('Failed to switch camera: ' + error.message);
+    toggleClip() {
+        if (this.clipRecorder.isRecording) {
+            this.stopClip();
+        } else {
+            this.startClip(false);
         }
     }
     
-    setupCanvas() {
-        this.canvas.width = this.videoElement.videoWidth;
-        this.canvas.height = this.videoElement.videoHeight;
-        this.canvas.style.width = '100%';
-        this.canvas.style.height = '100%';
+    startClip(auto) {
+        this.clipRecorder.start();
+        this.clipAuto = auto;
+        this.clipButton.textContent = 'Stop Clip';
+        this.clipStatusTimer = setInterval(() => this.updateClipStatus(), 500);
+        this.updateClipStatus();
     }
     
-    updateButtonStates() {
-        const canDetect = this.modelLoaded && this.cameraReady;
-        this.toggleButton.disabled = !canDetect;
+    async stopClip() {
+        clearInterval(this.clipStatusTimer);
+        this.clipButton.textContent = 'Record Clip';
         
-        if (!canDetect) {
-            this.toggleButton.textContent = 'Initializing...';
-            this.toggleButton.className = 'btn btn--secondary btn--full-width';
-        } else if (!this.isDetecting) {
-            this.toggleButton.textContent = 'Start Detection';
-            this.toggleButton.className = 'btn btn--primary btn--full-width';
+        const clip = await this.clipRecorder.stop();
+        if (clip) {
+            this.clips.unshift({
+                name: `clip-${fileTimestamp(new Date(Date.now() - clip.duration))}.webm`,
+                url: URL.createObjectURL(clip.blob),
+                size: clip.blob.size,
+                duration: clip.duration
+            });
+            this.clips.splice(this.maxClips).forEach(old => URL.revokeObjectURL(old.url));
+            this.renderClipsList();
         }
+        this.updateClipStatus();
+        this.updateButtonStates();
     }
     
-    async toggleDetection() {
-        if (!this.model) {
-            this.showError('Model not loaded yet');
-            return;
-        }
-        
-        if (!this.videoElement.srcObject) {
-            this.showError('Camera not initialized');
-            return;
+    setAutoRecord(enabled) {
+        if (enabled) {
+            this.clipRecorder.arm(this.settings.clipPreRoll);
+        } else {
+            this.clipRecorder.disarm();
+            if (this.clipAuto && this.clipRecorder.isRecording) {
+                this.stopClip();
+            }
         }
+        this.updateClipStatus();
+    }
+    
+    // Starts a clip when the chosen class shows up and ends it once the
+    // class has been gone for the post-roll time
+    updateAutoRecord() {
+        if (!this.clipRecorder || !this.autoRecordToggle.checked) return;
         
-        this.isDetecting = !this.isDetecting;
-        
-        if (this.isDetecting) {
-            this.toggleButton.textContent = 'Stop Detection';
-            this.toggleButton.className = 'btn btn--stop btn--full-width';
-            this.startDetection();
-        } else {
-            this.toggleButton.textContent = 'Start Detection';
-            this.toggleButton.className = 'btn btn--primary btn--full-width';
-            this.stopDetection();
+        const now = Date.now();
+        if (this.currentDetections.some(detection => detection.class === this.settings.autoRecordClass)) {
+            this.clipLastSeen = now;
+            if (!this.clipRecorder.isRecording) {
+                this.startClip(true);
+            }
+        } else if (this.clipAuto && this.clipRecorder.isRecording &&
+                   now - this.clipLastSeen >= this.settings.clipPostRoll * 1000) {
+            this.stopClip();
         }
     }
     
-    startDetection() {
-        this.stats.lastTime = Date.now();
-        this.stats.frameCount = 0;
-        this.detectFrame();
+    updateClipStatus() {
+        if (!this.clipRecorder) {
+            this.clipStatus.textContent = 'Clip recording is not supported in this browser';
+        } else if (this.clipRecorder.isRecording) {
+            const kind = this.clipAuto ? 'Auto clip' : 'Recording clip';
+            this.clipStatus.textContent = `${kind} · ${formatClock(this.clipRecorder.clipDuration / 1000)}`;
+        } else if (this.clipRecorder.armed) {
+            this.clipStatus.textContent = `Waiting for ${this.settings.autoRecordClass}`;
+        } else {
+            this.clipStatus.textContent = 'Not recording';
+        }
     }
     
-    stopDetection() {
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
+    renderClipsList() {
+        if (this.clips.length === 0) {
+            this.clipsList.innerHTML = '<p class="no-detections">No clips yet</p>';
+            return;
         }
+        
+        let html = '';
+        this.clips.forEach((clip, index) => {
+            const size = (clip.size / (1024 * 1024)).toFixed(1);
+            html += `
+                <div class="zone-item">
+                    <span class="toggle-text">${formatClock(clip.duration / 1000)} <span class="text-secondary">(${size} MB)</span></span>
+                    <span>
+                        <a class="btn btn--sm btn--outline" href="${clip.url}" download="${clip.name}">Save</a>
+                        <button class="btn btn--sm btn--outline" data-remove-clip="${index}">Remove</button>
+                    </span>
+                </div>
+            `;
+        });
+        
+        this.clipsList.innerHTML = html;
     }
     
-    async detectFrame() {
-        if (!this.isDetecting || !this.model) return;
+    renderAutoRecordOptions() {
+        let html = '';
+        this.labels.forEach(className => {
+            html += `<option value="${escapeHTML(className)}">${escapeHTML(className)}</option>`;
+        });
+        this.autoRecordClassSelect.innerHTML = html;
         
-        try {
-            const startTime = Date.now();
-            
-            // Perform detection
-            const predictions = await this.model.detect(this.videoElement);
-            
-            const detectionTime = Date.now() - startTime;
-            this.stats.detectionTime = detectionTime;
-            
-            // Filter predictions by confidence threshold
-            const filteredPredictions = predictions.filter(
-                pred => pred.score >= this.settings.confidenceThreshold
-            );
-            
-            // Update detections
-            this.currentDetections = filteredPredictions.slice(0, this.settings.maxDetections);
-            this.updateStatistics();
-            this.drawDetections();
-            this.updateDetectionsList();
-            this.updateClassCounts();
-            
-            // Calculate FPS
-            this.stats.frameCount++;
-            const now = Date.now();
-            if (now - this.stats.lastTime >= 1000) {
-                this.stats.fps = Math.round((this.stats.frameCount * 1000) / (now - this.stats.lastTime));
-                this.stats.frameCount = 0;
-                this.stats.lastTime = now;
-                this.updateStatisticsDisplay();
-            }
-            
-        } catch (error) {
-            console.error('Detection error:', error);
-            this.showError('Detection failed: ' + error.message);
-            this.stopDetection();
+        // Keep the saved class when the model predicts it
+        if (this.labels.includes(this.settings.autoRecordClass)) {
+            this.autoRecordClassSelect.value = this.settings.autoRecordClass;
+        } else {
+            this.settings.autoRecordClass = this.labels[0];
         }
-        
-        // Schedule next frame
-        this.animationFrame = requestAnimationFrame(() => this.detectFrame());
     }
     
     drawDetections() {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        if (this.annotationEditor.active) {
+            this.drawAnnotation();
+            return;
+        }
+        
+        if (this.settings.privacyMode !== 'off' && this.sourceReady) {
+            this.drawRedactedFrame();
+        }
+        
+        // Zones sit underneath the boxes
+        this.zoneManager.draw(this.ctx, this.canvas.width, this.canvas.height);
+        
+        if (this.settings.showRawBoxes) {
+            this.drawRawBoxes();
+        }
+        
         // Draw bounding boxes
-        this.currentDetections.forEach((prediction, index) => {
+        this.currentDetections.forEach(prediction => {
             const [x, y, width, height] = prediction.bbox;
             const confidence = Math.round(prediction.score * 100);
-            const label = prediction.class;
+            const label = `#${prediction.trackId} ${prediction.class}`;
             
-            // Get color for this detection
-            const color = this.colors[index % this.colors.length];
+            // Tracks keep their color from frame to frame
+            const color = prediction.color;
             
             // Draw bounding box
             this.ctx.strokeStyle = color;
@@ -396,23 +2013,410 @@ class ObjectDetectionApp {
             this.ctx.fillStyle = '#ffffff';
             this.ctx.fillText(labelText, x + 6, y - 8);
         });
+        
+        this.drawAlertFlash();
+    }
+    
+    // Covers the redacted classes on the overlay. With the raw video hidden
+    // the frame detection last ran on is drawn underneath, or black until
+    // there is one.
+    drawRedactedFrame() {
+        const { width, height } = this.canvas;
+        let frame = this.source.element;
+        if (this.hidesRawVideo) {
+            this.ctx.fillStyle = '#000000';
+            this.ctx.fillRect(0, 0, width, height);
+            if (!this.privacyFrameReady) return;
+            
+            frame = this.privacyFrame;
+            this.ctx.drawImage(frame, 0, 0, width, height);
+        }
+        
+        this.redactor.redact(this.ctx, frame, this.redactedBoxes(), width, height);
+    }
+    
+    // Boxes of every tracked object of the redacted classes, including
+    // unconfirmed tracks and those outside the zones
+    redactedBoxes() {
+        return [...this.rawDetections, ...this.currentDetections]
+            .filter(detection => this.settings.redactClasses.includes(detection.class))
+            .map(detection => detection.bbox);
+    }
+    
+    updatePrivacy() {
+        this.applyPrivacySettings();
+        this.drawDetections();
+        this.saveSettings();
+    }
+    
+    renderRedactClassOptions() {
+        let html = '';
+        this.labels.forEach(className => {
+            const selected = this.settings.redactClasses.includes(className) ? ' selected' : '';
+            html += `<option value="${escapeHTML(className)}"${selected}>${escapeHTML(className)}</option>`;
+        });
+        this.redactClassesSelect.innerHTML = html;
+    }
+    
+    // Unsmoothed boxes of every track, including unconfirmed ones, as thin
+    // dashed outlines
+    drawRawBoxes() {
+        this.ctx.save();
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.lineWidth = 1;
+        this.rawDetections.forEach(detection => {
+            this.ctx.strokeStyle = detection.color;
+            this.ctx.strokeRect(...detection.bbox);
+        });
+        this.ctx.restore();
+    }
+    
+    drawAlertFlash() {
+        const remaining = this.alertFlashUntil - Date.now();
+        if (remaining <= 0) return;
+        
+        // Fade the frame border out over the flash duration
+        this.ctx.save();
+        this.ctx.globalAlpha = remaining / this.alertFlashDuration;
+        this.ctx.strokeStyle = '#FF5459';
+        this.ctx.lineWidth = 12;
+        this.ctx.strokeRect(6, 6, this.canvas.width - 12, this.canvas.height - 12);
+        this.ctx.restore();
+    }
+    
+    // Pointer position in normalized frame coordinates
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        
+        // The canvas is letterboxed (object-fit: contain) when the view is
+        // height-limited, so map into the drawn frame rather than the element
+        const scale = Math.min(rect.width / this.canvas.width, rect.height / this.canvas.height);
+        const frameWidth = this.canvas.width * scale;
+        const frameHeight = this.canvas.height * scale;
+        const left = rect.left + (rect.width - frameWidth) / 2;
+        const top = rect.top + (rect.height - frameHeight) / 2;
+        
+        return [
+            Math.min(1, Math.max(0, (e.clientX - left) / frameWidth)),
+            Math.min(1, Math.max(0, (e.clientY - top) / frameHeight))
+        ];
+    }
+    
+    startZoneDrawing(type) {
+        if (this.annotationEditor.active) {
+            this.endAnnotation();
+        }
+        this.zoneManager.beginDraft(type);
+        this.canvas.classList.add('drawing');
+        this.zoneDraftControls.classList.remove('hidden');
+        this.finishZoneButton.classList.toggle('hidden', type === 'line');
+        this.zoneHint.textContent = type === 'line'
+            ? 'Click the two end points of the tripwire. The arrow marks the "in" direction.'
+            : 'Click to add points. Double-click or press Finish to close the zone.';
+    }
+    
+    finishZoneDrawing() {
+        this.zoneManager.finishDraft();
+        this.endZoneDrawing();
+    }
+    
+    cancelZoneDrawing() {
+        this.zoneManager.cancelDraft();
+        this.endZoneDrawing();
+    }
+    
+    endZoneDrawing() {
+        this.canvas.classList.remove('drawing');
+        this.zoneDraftControls.classList.add('hidden');
+        this.zoneHint.textContent = 'Draw regions or tripwire lines directly on the video.';
+        this.renderZonesList();
+        this.updateZoneStats();
+        this.drawDetections();
+    }
+    
+    // Pauses on the current frame and turns its detections into editable
+    // boxes. Live detection stops and a video is paused; the frame stays
+    // frozen on the overlay until it is saved or the edit is cancelled.
+    startAnnotation() {
+        if (!this.sourceReady || this.annotationEditor.active) return;
+        
+        if (this.isDetecting) {
+            this.toggleDetection();
+        }
+        if (this.source.kind === 'video') {
+            this.source.element.pause();
+        }
+        if (this.zoneManager.draft) {
+            this.cancelZoneDrawing();
+        }
+        
+        this.annotationFrame = this.copyFrame();
+        this.annotationEditor.begin(this.currentDetections, this.source.width, this.source.height);
+        this.canvas.classList.add('editing');
+        this.annotationControls.classList.remove('hidden');
+        this.annotationHint.textContent = 'Drag a box or its corners to fix it, or drag on empty space to add one.';
+        this.updateAnnotationControls();
+        this.updateButtonStates();
+        this.drawDetections();
+    }
+    
+    saveAnnotationFrame() {
+        const canvas = this.annotationFrame;
+        this.annotationEditor.saveFrame(new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9)));
+        this.updateDatasetStatus();
+        this.endAnnotation();
+    }
+    
+    endAnnotation() {
+        this.annotationEditor.end();
+        this.annotationFrame = null;
+        this.canvas.classList.remove('editing');
+        this.annotationControls.classList.add('hidden');
+        this.annotationHint.textContent = 'Pause on a frame to correct its boxes and add it to a dataset.';
+        
+        // Catch up with a camera that changed size meanwhile
+        if (this.sourceReady) {
+            this.setupCanvas();
+        }
+        this.updateButtonStates();
+        this.drawDetections();
+    }
+    
+    deleteAnnotationBox() {
+        if (this.annotationEditor.deleteSelected()) {
+            this.updateAnnotationControls();
+            this.drawDetections();
+        }
+    }
+    
+    // The class select shows the selected box's class; new boxes get the
+    // chosen class
+    updateAnnotationControls() {
+        const box = this.annotationEditor.selectedBox;
+        this.deleteAnnotationBoxButton.disabled = !box;
+        if (box && this.labels.includes(box.class)) {
+            this.annotationClassSelect.value = box.class;
+        }
+    }
+    
+    renderAnnotationClassOptions() {
+        const selected = this.annotationClassSelect.value;
+        this.annotationClassSelect.innerHTML = this.labels.map(className =>
+            `<option value="${escapeHTML(className)}">${escapeHTML(className)}</option>`
+        ).join('');
+        this.annotationClassSelect.value = this.labels.includes(selected) ? selected : this.labels[0];
+    }
+    
+    // The frozen frame under the editable boxes. Handles keep their size
+    // on screen whatever the frame resolution.
+    drawAnnotation() {
+        const { width, height } = this.canvas;
+        this.ctx.drawImage(this.annotationFrame, 0, 0, width, height);
+        this.annotationEditor.draw(
+            this.ctx,
+            className => this.classFilter.colorFor(className, this.labels),
+            8 * this.canvasPixelRatio()
+        );
+    }
+    
+    // Pointer position in frame pixels
+    annotationPoint(e) {
+        const [x, y] = this.canvasPoint(e);
+        return [x * this.canvas.width, y * this.canvas.height];
+    }
+    
+    // Frame pixels per CSS pixel of the letterboxed overlay
+    canvasPixelRatio() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return 1;
+        return Math.max(this.canvas.width / rect.width, this.canvas.height / rect.height);
+    }
+    
+    updateDatasetStatus() {
+        const { frames } = this.annotationEditor;
+        const boxes = frames.reduce((sum, frame) => sum + frame.annotations.length, 0);
+        this.datasetStatus.textContent = frames.length === 0
+            ? 'No frames saved'
+            : `${frames.length} frame${frames.length === 1 ? '' : 's'} · ${boxes} box${boxes === 1 ? '' : 'es'}`;
+        this.exportDatasetButton.disabled = frames.length === 0;
+        this.clearDatasetButton.disabled = frames.length === 0;
+    }
+    
+    async exportDataset() {
+        const format = this.datasetFormatSelect.value;
+        this.exportDatasetButton.disabled = true;
+        
+        try {
+            const blob = await this.annotationEditor.toArchive(format, this.labels);
+            downloadBlob(blob, `dataset-${fileTimestamp(new Date())}-${format}.zip`);
+        } catch (error) {
+            console.error('Dataset export error:', error);
+            this.showError('Failed to export dataset: ' + error.message);
+        } finally {
+            this.updateDatasetStatus();
+        }
+    }
+    
+    renderZonesList() {
+        if (this.zoneManager.zones.length === 0) {
+            this.zonesList.innerHTML = '<p class="no-detections">No zones defined</p>';
+            return;
+        }
+        
+        let html = '';
+        this.zoneManager.zones.forEach(zone => {
+            const kind = zone.type === 'line' ? 'tripwire' : `${zone.points.length}-point zone`;
+            html += `
+                <div class="zone-item">
+                    <span class="toggle-text">${zone.name} <span class="text-secondary">(${kind})</span></span>
+                    <button class="btn btn--sm btn--outline" data-remove-zone="${zone.id}">Remove</button>
+                </div>
+            `;
+        });
+        
+        this.zonesList.innerHTML = html;
+    }
+    
+    updateZoneStats() {
+        const { zones, occupancy, crossings } = this.zoneManager;
+        this.zoneStats.classList.toggle('hidden', zones.length === 0);
+        if (zones.length === 0) return;
+        
+        let html = '';
+        zones.forEach(zone => {
+            let counts;
+            if (zone.type === 'line') {
+                counts = Object.entries(crossings[zone.id] || {})
+                    .map(([className, { in: entered, out }]) =>
+                        `<span class="zone-count">${escapeHTML(className)} in ${entered} · out ${out}</span>`
+                    );
+            } else {
+                counts = Object.entries(occupancy[zone.id] || {})
+                    .map(([className, count]) => `<span class="zone-count">${escapeHTML(className)} ${count}</span>`);
+            }
+            
+            html += `
+                <div class="zone-stat-item">
+                    <span class="object-name">${zone.name}</span>
+                    <div class="zone-counts">${counts.join('') || '<span class="zone-count zero">0</span>'}</div>
+                </div>
+            `;
+        });
+        
+        this.zoneStatsList.innerHTML = html;
+    }
+    
+    processAlerts(fired) {
+        if (fired.length === 0) return;
+        
+        if (this.settings.soundEnabled) {
+            this.alertSound.play(fired[0].type);
+        }
+        
+        this.alertFlashUntil = Date.now() + this.alertFlashDuration;
+        this.renderAlertHistory();
+    }
+    
+    addAlertRule() {
+        this.alertEngine.addRule({
+            className: this.alertClassSelect.value,
+            type: this.alertTypeSelect.value,
+            minCount: this.alertCountInput.value,
+            holdSeconds: this.alertHoldInput.value,
+            cooldownSeconds: this.alertCooldownInput.value
+        });
+        this.renderAlertRules();
+        this.saveSettings();
+    }
+    
+    renderAlertClassOptions() {
+        let html = '<option value="*">Any object</option>';
+        this.labels.forEach(className => {
+            html += `<option value="${escapeHTML(className)}">${escapeHTML(className)}</option>`;
+        });
+        this.alertClassSelect.innerHTML = html;
+    }
+    
+    renderAlertRules() {
+        if (this.alertEngine.rules.length === 0) {
+            this.alertRulesList.innerHTML = '<p class="no-detections">No alert rules</p>';
+            return;
+        }
+        
+        let html = '';
+        this.alertEngine.rules.forEach(rule => {
+            html += `
+                <div class="alert-rule-item">
+                    <label class="toggle-label">
+                        <input type="checkbox" data-toggle-rule="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+                        <span class="toggle-text">${escapeHTML(this.alertEngine.describeRule(rule))}</span>
+                    </label>
+                    <button class="btn btn--sm btn--outline" data-remove-rule="${rule.id}">Remove</button>
+                </div>
+            `;
+        });
+        
+        this.alertRulesList.innerHTML = html;
+    }
+    
+    renderAlertHistory() {
+        if (this.alertEngine.history.length === 0) {
+            this.alertHistoryList.innerHTML = '<p class="no-detections">No alerts yet</p>';
+            return;
+        }
+        
+        let html = '';
+        this.alertEngine.history.forEach(alert => {
+            const time = new Date(alert.timestamp).toLocaleTimeString();
+            html += `
+                <div class="alert-history-item">
+                    <span class="object-name">${escapeHTML(alert.message)}</span>
+                    <span class="alert-time">${time}</span>
+                </div>
+            `;
+        });
+        
+        this.alertHistoryList.innerHTML = html;
     }
     
     updateStatistics() {
-        this.stats.totalDetections += this.currentDetections.length;
+        this.stats.totalDetections = this.smoother.confirmedTotal;
         this.stats.activeObjects = this.currentDetections.length;
     }
     
     updateStatisticsDisplay() {
         this.totalDetectionsEl.textContent = this.stats.totalDetections;
-        this.fpsCounterEl.textContent = this.stats.fps;
+        this.fpsCounterEl.textContent = this.stats.renderFps;
+        this.inferenceFpsEl.textContent = this.stats.inferenceFps;
+        const detector = this.core.detector;
+        this.inferenceModeEl.textContent = !detector ? '—'
+            : `${detector.kind === 'worker' ? 'Worker' : 'Main thread'} · ${detector.activeBackend || '—'}`;
         this.detectionTimeEl.textContent = `${this.stats.detectionTime}ms`;
         this.activeObjectsEl.textContent = this.stats.activeObjects;
+        this.inputScaleEl.textContent = `${Math.round(this.governor.scale * 100)}%`;
+        this.tensorCountEl.textContent = this.stats.numTensors === null ? '—' : this.stats.numTensors;
+        this.tensorMemoryEl.textContent = this.stats.tensorBytes === null ? '—'
+            : `${(this.stats.tensorBytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    // tf.memory() of whichever thread runs the model
+    async updateMemoryStats() {
+        if (!this.core.detector || !this.modelLoaded) return;
+        
+        try {
+            const memory = await this.core.detector.memory();
+            this.stats.numTensors = memory.numTensors;
+            this.stats.tensorBytes = memory.numBytes;
+            this.updateStatisticsDisplay();
+        } catch (error) {
+            console.warn('Failed to read tensor memory:', error);
+        }
     }
     
     updateDetectionsList() {
         if (this.currentDetections.length === 0) {
             this.detectedObjectsList.innerHTML = '<p class="no-detections">No objects detected</p>';
+            this.detectionsListHtml = null;
             return;
         }
         
@@ -422,10 +2426,12 @@ class ObjectDetectionApp {
             if (!detectionCounts[className]) {
                 detectionCounts[className] = {
                     count: 0,
-                    maxConfidence: 0
+                    maxConfidence: 0,
+                    tracks: []
                 };
             }
             detectionCounts[className].count++;
+            detectionCounts[className].tracks.push(detection);
             detectionCounts[className].maxConfidence = Math.max(
                 detectionCounts[className].maxConfidence,
                 detection.score
@@ -435,21 +2441,31 @@ class ObjectDetectionApp {
         let html = '';
         Object.entries(detectionCounts).forEach(([className, data]) => {
             const confidence = Math.round(data.maxConfidence * 100);
+            const tracks = data.tracks
+                .map(track => `#${track.trackId} ${formatDuration(track.dwellTime)}`)
+                .join(', ');
             html += `
                 <div class="detected-object-item">
-                    <span class="object-name">${className} (${data.count})</span>
+                    <div class="object-details">
+                        <span class="object-name">${escapeHTML(className)} (${data.count})</span>
+                        <span class="object-tracks">${tracks}</span>
+                    </div>
                     <span class="object-confidence">${confidence}%</span>
                 </div>
             `;
         });
         
-        this.detectedObjectsList.innerHTML = html;
+        // Results arrive many times a second; skip rebuilding unchanged lists
+        if (html !== this.detectionsListHtml) {
+            this.detectedObjectsList.innerHTML = html;
+            this.detectionsListHtml = html;
+        }
     }
     
     updateClassCounts() {
         // Reset counts
         this.classCounts = {};
-        this.cocoClasses.forEach(className => {
+        this.labels.forEach(className => {
             this.classCounts[className] = 0;
         });
         
@@ -460,23 +2476,43 @@ class ObjectDetectionApp {
             }
         });
         
-        // Update display
-        this.renderCocoClasses();
+        // Update the count badges in place so the class controls keep focus
+        this.cocoClassesList.querySelectorAll('[data-class]').forEach(item => {
+            const count = this.classCounts[item.dataset.class] || 0;
+            const badge = item.querySelector('.class-count');
+            if (badge.textContent !== String(count)) {
+                badge.textContent = count;
+                badge.classList.toggle('zero', count === 0);
+            }
+        });
     }
     
     renderCocoClasses() {
         const searchTerm = this.classSearch.value.toLowerCase();
+        const globalThreshold = this.settings.confidenceThreshold;
         let html = '';
         
-        this.cocoClasses
+        this.labels
             .filter(className => className.toLowerCase().includes(searchTerm))
             .forEach(className => {
                 const count = this.classCounts[className] || 0;
                 const countClass = count > 0 ? '' : 'zero';
+                const enabled = this.classFilter.isEnabled(className);
+                const settings = this.classFilter.settings[className];
+                const threshold = settings && settings.threshold !== null ? settings.threshold : '';
+                const name = escapeHTML(className);
                 
                 html += `
-                    <div class="coco-class-item">
-                        <span class="class-name">${className}</span>
+                    <div class="coco-class-item ${enabled ? '' : 'excluded'}" data-class="${name}">
+                        <label class="class-toggle" title="Include or exclude ${name}">
+                            <input type="checkbox" data-class-enabled ${enabled ? 'checked' : ''}>
+                            <span class="class-name">${name}</span>
+                        </label>
+                        <input type="number" class="class-threshold" data-class-threshold
+                               min="0.05" max="1" step="0.05" value="${threshold}"
+                               placeholder="${globalThreshold.toFixed(1)}" title="Confidence threshold for ${name}">
+                        <input type="color" class="class-color" data-class-color
+                               value="${this.classFilter.colorFor(className, this.labels)}" title="Box color for ${name}">
                         <span class="class-count ${countClass}">${count}</span>
                     </div>
                 `;
@@ -485,19 +2521,54 @@ class ObjectDetectionApp {
         this.cocoClassesList.innerHTML = html;
     }
     
+    renderClassPresets() {
+        let html = '<option value="">Apply a preset...</option>';
+        this.classFilter.presets.forEach(preset => {
+            html += `<option value="${escapeHTML(preset.name)}">${escapeHTML(preset.name)}</option>`;
+        });
+        this.classPresetSelect.innerHTML = html;
+    }
+    
+    saveClassPreset() {
+        const name = this.presetNameInput.value.trim();
+        if (!name) {
+            this.presetNameInput.focus();
+            return;
+        }
+        
+        try {
+            this.classFilter.savePreset(name);
+            this.renderClassPresets();
+            this.classPresetSelect.value = name;
+        } catch (error) {
+            this.presetNameInput.setCustomValidity(error.message);
+            this.presetNameInput.reportValidity();
+            this.presetNameInput.setCustomValidity('');
+        }
+    }
+    
     filterCocoClasses(searchTerm) {
         this.renderCocoClasses();
     }
     
     clearDetections() {
         this.currentDetections = [];
+        this.rawDetections = [];
+        this.core.reset();
+        this.streamedTracks.clear();
+        this.privacyFrameReady = false;
+        if (this.sessionSummary) {
+            this.sessionSummary.forgetTracks();
+        }
+        this.zoneManager.resetCounts();
         this.stats.totalDetections = 0;
         this.stats.activeObjects = 0;
         
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawDetections();
         this.updateStatisticsDisplay();
         this.updateDetectionsList();
         this.updateClassCounts();
+        this.updateZoneStats();
     }
     
     showOverlay(message) {
@@ -520,19 +2591,11 @@ class ObjectDetectionApp {
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Check for browser compatibility
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        document.body.innerHTML = `
-            <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
-                <h1>Browser Not Supported</h1>
-                <p>This application requires a modern browser with camera support.</p>
-                <p>Please use Chrome, Firefox, Safari, or Edge.</p>
-                <button onclick="location.reload()" style="margin-top: 20px; padding: 10px 20px; font-size: 16px;">Retry</button>
-            </div>
-        `;
-        return;
-    }
+document.addEventListener('DOMContentLoaded', async () => {
+    registerServiceWorker();
+    
+    document.getElementById('modelStatus').textContent = 'Loading Libraries...';
+    await loadScripts(libraryUrls());
     
     // Add fallback for missing libraries
     let missingLibraries = [];
@@ -544,11 +2607,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     if (missingLibraries.length > 0) {
+        const hint = APP_CONFIG.assetPath
+            ? `Check that the files exist under "${escapeHTML(APP_CONFIG.assetPath)}" (see scripts/vendor-assets.sh).`
+            : 'They are loaded from cdn.jsdelivr.net. Without internet access, copy them next to the app with scripts/vendor-assets.sh and set assetPath in config.js.';
         document.body.innerHTML = `
             <div style="text-align: center; padding: 50px; font-family: Arial, sans-serif;">
                 <h1>Loading Error</h1>
                 <p>Failed to load required libraries: ${missingLibraries.join(', ')}</p>
-                <p>Please check your internet connection and refresh the page.</p>
+                <p>${hint}</p>
                 <button onclick="location.reload()" style="margin-top: 20px; padding: 10px 20px; font-size: 16px;">Retry</button>
             </div>
         `;
@@ -0,0 +1,106 @@
+// Library and model weight locations, resolved from APP_CONFIG
+// Used by the page, the inference worker and the service worker.
+
+// Weight folders of the COCO-SSD bases, as named by @tensorflow-models/coco-ssd
+const COCO_SSD_MODEL_DIRS = {
+    lite_mobilenet_v2: 'ssdlite_mobilenet_v2',
+    mobilenet_v1: 'ssd_mobilenet_v1',
+    mobilenet_v2: 'ssd_mobilenet_v2'
+};
+
+// Absolute URLs, so they resolve the same inside workers
+function assetUrl(path) {
+    return new URL(path, self.location.href).href;
+}
+
+function libraryUrls(config = APP_CONFIG) {
+    const urls = config.assetPath
+        ? [`${config.assetPath}tfjs/tf.min.js`, `${config.assetPath}coco-ssd/coco-ssd.min.js`]
+        : [config.cdn.tfjs, config.cdn.cocoSsd];
+    return urls.map(assetUrl);
+}
+
+// The WASM backend script and the folder holding its .wasm binaries
+function wasmAssets(config = APP_CONFIG) {
+    const path = assetUrl(config.assetPath ? `${config.assetPath}tfjs-backend-wasm/` : config.cdn.wasm);
+    return { script: `${path}tf-backend-wasm.min.js`, path };
+}
+
+function cocoSsdModelUrl(base, config = APP_CONFIG) {
+    const root = config.assetPath ? `${config.assetPath}models/` : config.cdn.models;
+    return assetUrl(`${root}${COCO_SSD_MODEL_DIRS[base]}/model.json`);
+}
+
+// Adds the scripts to the page in order. Resolves with the URLs that failed
+// to load; later scripts are skipped once one fails.
+async function loadScripts(urls) {
+    for (let index = 0; index < urls.length; index++) {
+        try {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = urls[index];
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Failed to load ${urls[index]}`));
+                document.head.appendChild(script);
+            });
+        } catch (error) {
+            console.error(error.message);
+            return urls.slice(index);
+        }
+    }
+    return [];
+}
+
+// Downloads model.json and its weight shards ahead of the model load so
+// progress can be reported (0..1). The load itself is then served from the
+// service worker or HTTP cache.
+async function prefetchModel(modelUrl, onProgress) {
+    const response = await fetch(modelUrl);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${modelUrl} (${response.status})`);
+    }
+    
+    const manifest = await response.json();
+    const paths = (manifest.weightsManifest || []).flatMap(group => group.paths);
+    
+    for (let index = 0; index < paths.length; index++) {
+        await downloadWithProgress(new URL(paths[index], modelUrl).href, fraction => {
+            onProgress((index + fraction) / paths.length);
+        });
+    }
+    onProgress(1);
+}
+
+async function downloadWithProgress(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url} (${response.status})`);
+    }
+    
+    // Without a length (or a readable body) only completion can be reported
+    const total = parseInt(response.headers.get('Content-Length'), 10);
+    if (!response.body || !total) {
+        await response.arrayBuffer();
+        onProgress(1);
+        return;
+    }
+    
+    const reader = response.body.getReader();
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        onProgress(Math.min(1, loaded / total));
+    }
+}
+
+function registerServiceWorker(config = APP_CONFIG) {
+    if (!config.serviceWorker || !('serviceWorker' in navigator) || !location.protocol.startsWith('http')) {
+        return;
+    }
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
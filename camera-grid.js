@@ -0,0 +1,468 @@
+// Multi-camera grid page
+// Runs detection on two to four camera streams side by side. Every stream
+// has its own tracks, filters and stats (an ObjectDetector forked from the
+// one that loads the model); all of them share that model, and inference
+// runs on one frame at a time, taking the streams in turn.
+
+// Calls `run()` of the next task whose `ready()` is true, one at a time.
+// Tasks are taken in turn, so a slow stream only delays its own next frame
+// instead of starving the others.
+class RoundRobinScheduler {
+    constructor() {
+        this.tasks = [];
+        this.next = 0;
+        this.running = false;
+        
+        // Each start() gets a new generation; a loop ends once it is stale.
+        // The new loop waits for the old one to finish its task, so two
+        // never run inference at once.
+        this.generation = 0;
+        this.looping = Promise.resolve();
+    }
+    
+    setTasks(tasks) {
+        this.tasks = tasks;
+        this.next = 0;
+    }
+    
+    start() {
+        if (this.running) return;
+        this.running = true;
+        
+        const generation = ++this.generation;
+        this.looping = this.looping.then(() => this.loop(generation));
+    }
+    
+    stop() {
+        this.running = false;
+        this.generation++;
+    }
+    
+    async loop(generation) {
+        while (generation === this.generation) {
+            const task = this.nextReady();
+            if (!task) {
+                await new Promise(resolve => requestAnimationFrame(resolve));
+                continue;
+            }
+            
+            try {
+                await task.run();
+            } catch (error) {
+                console.error('Stream detection failed:', error);
+            }
+        }
+    }
+    
+    nextReady() {
+        for (let offset = 0; offset < this.tasks.length; offset++) {
+            const index = (this.next + offset) % this.tasks.length;
+            if (this.tasks[index].ready()) {
+                this.next = (index + 1) % this.tasks.length;
+                return this.tasks[index];
+            }
+        }
+        return null;
+    }
+}
+
+// One camera of the grid: its video, overlay, stats and settings
+class CameraTile {
+    constructor(index, core, settings, onChange) {
+        this.index = index;
+        this.settings = { deviceId: null, threshold: 0.5, classes: '', ...settings };
+        this.onChange = onChange;
+        
+        this.detector = core.fork(this.detectorOptions());
+        this.stream = null;
+        this.detections = [];
+        this.stats = {
+            inferenceFps: 0,
+            inferenceFrames: 0,
+            detectionTime: 0,
+            lastTime: Date.now()
+        };
+        
+        this.element = document.createElement('div');
+        this.element.className = 'card grid-tile';
+        this.element.innerHTML = `
+            <div class="card__body">
+                <div class="section-header">
+                    <h3>Camera ${index + 1}</h3>
+                    <span class="status status--info" data-role="state">Stopped</span>
+                </div>
+                <div class="camera-container grid-view">
+                    <video autoplay muted playsinline></video>
+                    <canvas></canvas>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label class="form-label" for="gridCamera${index}">Camera</label>
+                        <select id="gridCamera${index}" class="form-control" data-role="camera"></select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="gridThreshold${index}">
+                            Confidence: <span data-role="thresholdValue">${this.settings.threshold.toFixed(1)}</span>
+                        </label>
+                        <input type="range" id="gridThreshold${index}" class="slider" data-role="threshold"
+                               min="0.1" max="0.9" step="0.1" value="${this.settings.threshold}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="gridClasses${index}">Classes</label>
+                    <input type="text" id="gridClasses${index}" class="form-control" data-role="classes"
+                           placeholder="All classes, or e.g. person, car" value="${escapeHTML(this.settings.classes)}">
+                </div>
+                <div class="grid-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Detections/s</span>
+                        <span class="stat-value" data-role="fps">0</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Detection Time</span>
+                        <span class="stat-value" data-role="time">0ms</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Objects</span>
+                        <span class="stat-value" data-role="objects">0</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Unique</span>
+                        <span class="stat-value" data-role="unique">0</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const part = role => this.element.querySelector(`[data-role="${role}"]`);
+        this.video = this.element.querySelector('video');
+        this.canvas = this.element.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.container = this.element.querySelector('.grid-view');
+        this.stateEl = part('state');
+        this.cameraSelect = part('camera');
+        this.thresholdSlider = part('threshold');
+        this.thresholdValue = part('thresholdValue');
+        this.classesInput = part('classes');
+        this.fpsEl = part('fps');
+        this.timeEl = part('time');
+        this.objectsEl = part('objects');
+        this.uniqueEl = part('unique');
+        
+        this.cameraSelect.addEventListener('change', (e) => {
+            this.settings.deviceId = e.target.value;
+            this.onChange();
+            if (this.stream) {
+                this.open().catch(() => {});
+            }
+        });
+        this.thresholdSlider.addEventListener('input', (e) => {
+            this.settings.threshold = parseFloat(e.target.value);
+            this.thresholdValue.textContent = this.settings.threshold.toFixed(1);
+            this.detector.configure(this.detectorOptions());
+            this.onChange();
+        });
+        this.classesInput.addEventListener('change', (e) => {
+            this.settings.classes = e.target.value;
+            this.detector.configure(this.detectorOptions());
+            this.onChange();
+        });
+    }
+    
+    detectorOptions() {
+        const classes = this.settings.classes.split(',').map(name => name.trim()).filter(Boolean);
+        return {
+            threshold: this.settings.threshold,
+            classes: classes.length > 0 ? classes : null
+        };
+    }
+    
+    renderDeviceOptions(devices) {
+        let html = '';
+        devices.forEach((device, index) => {
+            const label = device.label || `Camera ${index + 1}`;
+            html += `<option value="${escapeHTML(device.deviceId)}">${escapeHTML(label)}</option>`;
+        });
+        this.cameraSelect.innerHTML = html;
+        if (this.settings.deviceId) {
+            this.cameraSelect.value = this.settings.deviceId;
+        }
+    }
+    
+    async open() {
+        this.close();
+        this.setState('Starting...', 'status--loading');
+        
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: {
+                    deviceId: this.settings.deviceId ? { exact: this.settings.deviceId } : undefined,
+                    width: { ideal: 640 },
+                    height: { ideal: 480 }
+                },
+                audio: false
+            });
+            this.video.srcObject = this.stream;
+            if (this.video.readyState < 2) {
+                await waitForMediaEvent(this.video, 'loadeddata');
+            }
+        } catch (error) {
+            this.close();
+            this.setState(error.name === 'NotReadableError' ? 'Camera busy' : 'No camera', 'status--error');
+            throw error;
+        }
+        
+        this.canvas.width = this.video.videoWidth;
+        this.canvas.height = this.video.videoHeight;
+        this.container.style.aspectRatio = `${this.video.videoWidth} / ${this.video.videoHeight}`;
+        this.detector.reset();
+        this.setState('Live', 'status--ready');
+    }
+    
+    close() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+        this.detections = [];
+        this.draw();
+        this.setState('Stopped', 'status--info');
+    }
+    
+    // Scheduler task: ready when a frame is available and the stream's
+    // rate limit allows another inference
+    ready() {
+        return Boolean(this.stream) && this.video.readyState >= 2 && this.detector.governor.shouldRun();
+    }
+    
+    async run() {
+        let result;
+        try {
+            result = await this.detector.detect(this.video, { live: true });
+        } catch (error) {
+            // Stop the stream rather than fail on every frame
+            this.close();
+            this.setState('Error', 'status--error');
+            throw error;
+        }
+        if (!this.stream) return;
+        
+        const { detections, detectionTime } = result;
+        this.detections = detections;
+        this.stats.detectionTime = detectionTime;
+        this.stats.inferenceFrames++;
+    }
+    
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.lineWidth = 3;
+        this.ctx.font = '16px Arial, sans-serif';
+        
+        this.detections.forEach(detection => {
+            const [x, y, width, height] = detection.bbox;
+            const label = `#${detection.trackId} ${detection.class} (${Math.round(detection.score * 100)}%)`;
+            
+            this.ctx.strokeStyle = detection.color;
+            this.ctx.strokeRect(x, y, width, height);
+            this.ctx.fillStyle = detection.color;
+            this.ctx.fillRect(x, y - 24, this.ctx.measureText(label).width + 12, 24);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(label, x + 6, y - 8);
+        });
+    }
+    
+    updateStats(now) {
+        const elapsed = now - this.stats.lastTime;
+        this.stats.inferenceFps = Math.round((this.stats.inferenceFrames * 1000) / elapsed);
+        this.stats.inferenceFrames = 0;
+        this.stats.lastTime = now;
+        
+        this.fpsEl.textContent = this.stats.inferenceFps;
+        this.timeEl.textContent = `${this.stats.detectionTime}ms`;
+        this.objectsEl.textContent = this.detections.length;
+        this.uniqueEl.textContent = this.detector.smoother.confirmedTotal;
+    }
+    
+    setState(text, className) {
+        this.stateEl.textContent = text;
+        this.stateEl.className = `status ${className}`;
+    }
+}
+
+class CameraGridPage {
+    constructor() {
+        this.storageKey = 'objectDetection.grid';
+        const saved = loadJSON(this.storageKey, {});
+        this.count = Math.min(4, Math.max(2, saved.count || 2));
+        this.tileSettings = saved.tiles || [];
+        
+        // Same model and backend as the main page
+        const appSettings = loadJSON('objectDetection.settings', {});
+        this.core = new ObjectDetector({ backend: (appSettings.settings && appSettings.settings.backend) || 'auto' });
+        this.modelId = this.core.modelRegistry.get(appSettings.modelId) ? appSettings.modelId : undefined;
+        
+        this.scheduler = new RoundRobinScheduler();
+        this.tiles = [];
+        this.devices = [];
+        this.running = false;
+        this.animationFrame = null;
+        this.statsTime = Date.now();
+        
+        this.modelStatus = document.getElementById('modelStatus');
+        this.countSelect = document.getElementById('streamCountSelect');
+        this.toggleButton = document.getElementById('toggleGrid');
+        this.hintEl = document.getElementById('gridHint');
+        this.gridEl = document.getElementById('cameraGrid');
+        
+        this.countSelect.value = this.count;
+        this.countSelect.addEventListener('change', (e) => this.setCount(parseInt(e.target.value, 10)));
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.core.on('modelstatus', status => showModelStatus(this.modelStatus, status));
+        
+        this.buildTiles();
+        this.init();
+    }
+    
+    async init() {
+        try {
+            await this.core.load(this.modelId);
+            this.toggleButton.disabled = false;
+        } catch (error) {
+            this.hintEl.textContent = 'Failed to load the model: ' + error.message;
+        }
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+            await this.refreshDevices();
+        } else {
+            this.hintEl.textContent = 'Camera API not supported in this browser';
+            this.toggleButton.disabled = true;
+        }
+    }
+    
+    buildTiles() {
+        while (this.tiles.length > this.count) {
+            const tile = this.tiles.pop();
+            tile.close();
+            tile.element.remove();
+        }
+        while (this.tiles.length < this.count) {
+            const index = this.tiles.length;
+            const tile = new CameraTile(index, this.core, this.tileSettings[index], () => this.save());
+            tile.renderDeviceOptions(this.devices);
+            this.tiles.push(tile);
+            this.gridEl.appendChild(tile.element);
+        }
+        
+        this.gridEl.dataset.count = this.count;
+        this.scheduler.setTasks(this.tiles);
+    }
+    
+    async setCount(count) {
+        this.count = count;
+        this.buildTiles();
+        this.save();
+        
+        if (this.running) {
+            this.assignDevices();
+            await Promise.allSettled(this.tiles.filter(tile => !tile.stream).map(tile => tile.open()));
+        }
+    }
+    
+    async refreshDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = devices.filter(device => device.kind === 'videoinput');
+        this.tiles.forEach(tile => tile.renderDeviceOptions(this.devices));
+        
+        this.hintEl.textContent = this.devices.length < this.count
+            ? `${this.devices.length} camera${this.devices.length === 1 ? '' : 's'} found; some streams will share a camera.`
+            : `${this.devices.length} cameras found.`;
+    }
+    
+    // Keeps saved cameras that are still connected and gives every other
+    // tile the first camera no earlier tile uses
+    assignDevices() {
+        const ids = this.devices.map(device => device.deviceId);
+        const used = new Set();
+        this.tiles.forEach((tile, index) => {
+            let deviceId = ids.includes(tile.settings.deviceId) ? tile.settings.deviceId : null;
+            if (!deviceId || used.has(deviceId)) {
+                deviceId = ids.find(id => !used.has(id)) || ids[index % ids.length] || null;
+            }
+            
+            used.add(deviceId);
+            tile.settings.deviceId = deviceId;
+            tile.renderDeviceOptions(this.devices);
+        });
+        this.save();
+    }
+    
+    toggle() {
+        if (this.running) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+    
+    async start() {
+        this.toggleButton.disabled = true;
+        try {
+            // Device IDs and labels are only available once permission is
+            // granted
+            if (!this.devices.some(device => device.label)) {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+                stream.getTracks().forEach(track => track.stop());
+                await this.refreshDevices();
+            }
+            
+            this.assignDevices();
+            await Promise.allSettled(this.tiles.map(tile => tile.open()));
+            
+            this.running = true;
+            this.toggleButton.textContent = 'Stop All';
+            this.toggleButton.className = 'btn btn--secondary';
+            this.scheduler.start();
+            this.renderLoop();
+        } catch (error) {
+            console.error('Failed to start cameras:', error);
+            this.hintEl.textContent = error.name === 'NotAllowedError'
+                ? 'Camera access denied. Please allow camera access and try again.'
+                : 'Failed to start cameras: ' + error.message;
+        } finally {
+            this.toggleButton.disabled = false;
+        }
+    }
+    
+    stop() {
+        this.running = false;
+        this.scheduler.stop();
+        cancelAnimationFrame(this.animationFrame);
+        this.tiles.forEach(tile => tile.close());
+        this.toggleButton.textContent = 'Start All';
+        this.toggleButton.className = 'btn btn--primary';
+    }
+    
+    renderLoop() {
+        if (!this.running) return;
+        
+        this.tiles.forEach(tile => tile.draw());
+        
+        const now = Date.now();
+        if (now - this.statsTime >= 1000) {
+            this.tiles.forEach(tile => tile.updateStats(now));
+            this.statsTime = now;
+        }
+        
+        this.animationFrame = requestAnimationFrame(() => this.renderLoop());
+    }
+    
+    save() {
+        this.tiles.forEach((tile, index) => {
+            this.tileSettings[index] = tile.settings;
+        });
+        saveJSON(this.storageKey, { count: this.count, tiles: this.tileSettings });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => new CameraGridPage());
@@ -0,0 +1,277 @@
+// Camera lifecycle
+// Opens the chosen camera, keeps the device list current as cameras are
+// plugged in and out, and reconnects when the stream ends unexpectedly.
+// States: 'idle' → 'requesting' → 'live', 'live' → 'reconnecting' → 'live',
+// and 'error' when the camera can't be opened (or reconnecting gave up).
+
+const CAMERA_RESOLUTIONS = ['3840x2160', '1920x1080', '1280x720', '640x480', '320x240'];
+const CAMERA_FRAME_RATES = [60, 30, 24, 15];
+
+class CameraManager {
+    constructor(options = {}) {
+        // Called with (state, error); error is set in the 'error' state
+        this.onState = options.onState || (() => {});
+        // Called with each newly opened stream; may return a promise
+        this.onStream = options.onStream || (() => {});
+        // Called with the list of video input devices whenever it changes
+        this.onDevices = options.onDevices || (() => {});
+        
+        this.openTimeout = options.openTimeout || 10000;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
+        this.minRetryDelay = options.minRetryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 10000;
+        
+        // Requested camera; deviceId wins over facingMode when both are set
+        this.deviceId = null;
+        this.facingMode = 'user';
+        this.resolution = '640x480';
+        this.frameRate = 0;
+        
+        this.state = 'idle';
+        this.error = null;
+        this.devices = [];
+        this.stream = null;
+        this.capabilities = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.lost = false;
+        
+        // Incremented by every open() and close() so late results of an
+        // older request are discarded
+        this.requestId = 0;
+        
+        if (CameraManager.isSupported() && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+    
+    static isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+    
+    // Device ID of the open stream
+    get activeDeviceId() {
+        const track = this.track;
+        return track && track.getSettings ? track.getSettings().deviceId || null : null;
+    }
+    
+    get track() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+    
+    async refreshDevices() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.error('Error getting camera devices:', error);
+        }
+        this.onDevices(this.devices);
+        return this.devices;
+    }
+    
+    // Opens a camera with the current preferences, after applying any of
+    // { deviceId, facingMode, resolution, frameRate } given
+    async open({ deviceId, facingMode, resolution, frameRate } = {}) {
+        if (facingMode !== undefined) {
+            this.facingMode = facingMode;
+            this.deviceId = null;
+        }
+        if (deviceId !== undefined) this.deviceId = deviceId;
+        if (resolution !== undefined) this.resolution = resolution;
+        if (frameRate !== undefined) this.frameRate = frameRate;
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts = 0;
+        this.lost = false;
+        this.setState('requesting');
+        
+        try {
+            await this.connect();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.setState('error', error);
+            }
+            throw error;
+        }
+    }
+    
+    close() {
+        this.requestId++;
+        clearTimeout(this.reconnectTimer);
+        this.lost = false;
+        this.releaseStream();
+        this.setState('idle');
+    }
+    
+    async connect() {
+        if (!CameraManager.isSupported()) {
+            throw new Error('Camera API not supported in this browser');
+        }
+        
+        const requestId = ++this.requestId;
+        
+        // Release the current camera first; some devices can't be opened twice
+        this.releaseStream();
+        
+        const streamPromise = navigator.mediaDevices.getUserMedia({ video: this.constraints() });
+        const timeoutPromise = new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Camera access timeout')), this.openTimeout)
+        );
+        
+        let stream;
+        try {
+            stream = await Promise.race([streamPromise, timeoutPromise]);
+        } finally {
+            // A stream that arrives after the timeout or a newer request is
+            // never used
+            streamPromise.then(late => {
+                if (late !== stream || requestId !== this.requestId) {
+                    late.getTracks().forEach(track => track.stop());
+                }
+            }, () => {});
+        }
+        
+        if (requestId !== this.requestId) {
+            throw new DOMException('Camera request was superseded', 'AbortError');
+        }
+        
+        this.stream = stream;
+        const track = this.track;
+        this.capabilities = track && track.getCapabilities ? track.getCapabilities() : null;
+        if (track) {
+            track.addEventListener('ended', () => {
+                if (this.stream === stream) {
+                    this.handleLost();
+                }
+            });
+        }
+        
+        // Device labels are only available once permission is granted
+        await this.refreshDevices();
+        await this.onStream(stream);
+        
+        if (requestId === this.requestId) {
+            this.reconnectAttempts = 0;
+            this.lost = false;
+            this.setState('live');
+        }
+    }
+    
+    constraints() {
+        const [width, height] = this.resolution.split('x').map(Number);
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height }
+        };
+        if (this.frameRate > 0) {
+            video.frameRate = { ideal: this.frameRate };
+        }
+        
+        // Device IDs are hidden until camera permission is granted. Once they
+        // are known, a camera that is gone falls back to the facing mode.
+        const known = this.devices.some(device => device.deviceId === this.deviceId);
+        const hidden = this.devices.every(device => !device.deviceId);
+        if (this.deviceId && known) {
+            video.deviceId = { exact: this.deviceId };
+        } else if (this.deviceId && hidden) {
+            video.deviceId = { ideal: this.deviceId };
+        } else if (this.facingMode) {
+            video.facingMode = { ideal: this.facingMode };
+        }
+        return video;
+    }
+    
+    // Resolutions and frame rates the open camera supports; everything when
+    // the browser doesn't report capabilities
+    resolutionOptions() {
+        const { width, height } = this.capabilities || {};
+        return CAMERA_RESOLUTIONS.filter(option => {
+            const [w, h] = option.split('x').map(Number);
+            return (!width || w <= width.max) && (!height || h <= height.max);
+        });
+    }
+    
+    frameRateOptions() {
+        const { frameRate } = this.capabilities || {};
+        return CAMERA_FRAME_RATES.filter(rate => !frameRate || rate <= frameRate.max);
+    }
+    
+    // Whether the device can switch between front and back cameras
+    get canSwitchFacing() {
+        const facingModes = (this.capabilities && this.capabilities.facingMode) || [];
+        return facingModes.length > 0 && this.devices.length > 1;
+    }
+    
+    // The camera stopped without being closed, e.g. it was unplugged or
+    // another application took it over
+    handleLost() {
+        this.lost = true;
+        this.releaseStream();
+        this.setState('reconnecting');
+        this.scheduleReconnect();
+    }
+    
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.setState('error', new Error('The camera was disconnected'));
+            return;
+        }
+        
+        const delay = Math.min(this.maxRetryDelay, this.minRetryDelay * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    }
+    
+    async reconnect() {
+        await this.refreshDevices();
+        if (this.state !== 'reconnecting') return;
+        
+        if (this.devices.length === 0) {
+            // Nothing to connect to; devicechange retries once a camera appears
+            this.scheduleReconnect();
+            return;
+        }
+        
+        try {
+            await this.connect();
+        } catch (error) {
+            if (error.name !== 'AbortError' && this.state === 'reconnecting') {
+                console.warn('Camera reconnect failed:', error);
+                this.scheduleReconnect();
+            }
+        }
+    }
+    
+    async handleDeviceChange() {
+        await this.refreshDevices();
+        
+        const activeId = this.activeDeviceId;
+        if (this.state === 'live' && activeId && !this.devices.some(device => device.deviceId === activeId)) {
+            // Some browsers don't end the track of an unplugged camera
+            this.handleLost();
+        } else if (this.state === 'reconnecting' && this.devices.length > 0) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnect();
+        } else if (this.state === 'error' && this.lost && this.devices.length > 0) {
+            this.reconnectAttempts = 0;
+            this.setState('reconnecting');
+            this.reconnect();
+        }
+    }
+    
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+    
+    setState(state, error = null) {
+        if (state === this.state && error === this.error) return;
+        this.state = state;
+        this.error = error;
+        this.onState(state, error);
+    }
+}
@@ -0,0 +1,110 @@
+// Canvas charts for the analytics panel
+// Charts fill the canvas' CSS box at the device pixel ratio. Text and axes
+// use the canvas' computed `color` so they follow the page theme.
+
+function prepareChart(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+    
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Arial, sans-serif';
+    
+    return { ctx, width, height, color: getComputedStyle(canvas).color };
+}
+
+// Line chart of `series` ([{ className, values }]) over `times`
+function drawLineChart(canvas, { times, series, colorFor, formatTime }) {
+    const { ctx, width, height, color } = prepareChart(canvas);
+    const padding = { top: 8, right: 8, bottom: 18, left: 28 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    if (plotWidth <= 0 || plotHeight <= 0) return;
+    
+    const maxValue = Math.max(1, ...series.flatMap(entry => entry.values));
+    const step = Math.max(1, Math.ceil(maxValue / 4));
+    const top = Math.ceil(maxValue / step) * step;
+    const x = index => padding.left + (times.length > 1 ? (index / (times.length - 1)) * plotWidth : 0);
+    const y = value => padding.top + plotHeight - (value / top) * plotHeight;
+    
+    // Horizontal grid lines with count labels
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let value = 0; value <= top; value += step) {
+        ctx.globalAlpha = 0.2;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y(value));
+        ctx.lineTo(width - padding.right, y(value));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        ctx.fillText(String(value), padding.left - 4, y(value));
+    }
+    
+    // Time labels at the start, middle and end
+    ctx.textBaseline = 'bottom';
+    [[0, 'left'], [Math.floor((times.length - 1) / 2), 'center'], [times.length - 1, 'right']].forEach(([index, align]) => {
+        ctx.textAlign = align;
+        ctx.fillText(formatTime(times[index]), x(index), height);
+    });
+    
+    if (series.length === 0) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No detections yet', padding.left + plotWidth / 2, padding.top + plotHeight / 2);
+        return;
+    }
+    
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    series.forEach(({ className, values }) => {
+        ctx.strokeStyle = colorFor(className);
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            if (index === 0) {
+                ctx.moveTo(x(index), y(value));
+            } else {
+                ctx.lineTo(x(index), y(value));
+            }
+        });
+        ctx.stroke();
+    });
+}
+
+// Grid of `columns` × `rows` cells, shaded by their share of the busiest cell
+function drawHeatmap(canvas, cells, columns, rows, fillColor) {
+    const { ctx, width, height, color } = prepareChart(canvas);
+    
+    ctx.globalAlpha = 0.08;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+    
+    const max = cells ? Math.max(...cells) : 0;
+    if (max === 0) {
+        ctx.fillStyle = color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No positions recorded', width / 2, height / 2);
+        return;
+    }
+    
+    const cellWidth = width / columns;
+    const cellHeight = height / rows;
+    ctx.fillStyle = fillColor;
+    cells.forEach((value, index) => {
+        if (value === 0) return;
+        ctx.globalAlpha = 0.15 + 0.85 * (value / max);
+        ctx.fillRect((index % columns) * cellWidth, Math.floor(index / columns) * cellHeight, cellWidth + 0.5, cellHeight + 0.5);
+    });
+    ctx.globalAlpha = 1;
+}
@@ -0,0 +1,112 @@
+// Per-class include/exclude, confidence thresholds and box colors
+// Classes without an entry use the defaults: included, the global confidence
+// threshold and a palette color picked by the class's label index.
+
+const BUILT_IN_PRESETS = [
+    { name: 'All classes', include: null },
+    { name: 'Vehicles only', include: ['bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat'] },
+    { name: 'People and pets', include: ['person', 'cat', 'dog', 'bird'] }
+];
+
+class ClassFilter {
+    constructor(options = {}) {
+        this.colors = options.colors || ['#FF6B6B'];
+        this.storageKey = options.storageKey || 'objectDetection.classPresets';
+        this.settings = {};
+        this.savedPresets = loadJSON(this.storageKey, []);
+    }
+    
+    get presets() {
+        return [...BUILT_IN_PRESETS, ...this.savedPresets];
+    }
+    
+    settingsFor(className) {
+        if (!this.settings[className]) {
+            this.settings[className] = { enabled: true, threshold: null, color: null };
+        }
+        return this.settings[className];
+    }
+    
+    isEnabled(className) {
+        const settings = this.settings[className];
+        return !settings || settings.enabled;
+    }
+    
+    thresholdFor(className, globalThreshold) {
+        const settings = this.settings[className];
+        return settings && settings.threshold !== null ? settings.threshold : globalThreshold;
+    }
+    
+    // Lowest threshold any included class uses, i.e. the score the model
+    // has to report boxes down to
+    minThreshold(globalThreshold) {
+        return Object.values(this.settings).reduce((min, settings) =>
+            settings.enabled && settings.threshold !== null ? Math.min(min, settings.threshold) : min,
+        globalThreshold);
+    }
+    
+    colorFor(className, labels) {
+        const settings = this.settings[className];
+        if (settings && settings.color) {
+            return settings.color;
+        }
+        
+        let index = labels.indexOf(className);
+        if (index === -1) {
+            // Labels outside the active model still get a stable color
+            index = Array.from(className).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0);
+        }
+        return this.colors[index % this.colors.length];
+    }
+    
+    // `margin` lowers every threshold, e.g. to keep existing tracks alive
+    accepts(prediction, globalThreshold, margin = 0) {
+        return this.isEnabled(prediction.class) &&
+            prediction.score >= this.thresholdFor(prediction.class, globalThreshold) - margin;
+    }
+    
+    setEnabled(className, enabled) {
+        this.settingsFor(className).enabled = enabled;
+    }
+    
+    // `threshold` of null restores the global threshold
+    setThreshold(className, threshold) {
+        this.settingsFor(className).threshold = threshold;
+    }
+    
+    setColor(className, color) {
+        this.settingsFor(className).color = color;
+    }
+    
+    applyPreset(name, labels) {
+        const preset = this.presets.find(preset => preset.name === name);
+        if (!preset) return;
+        
+        if (preset.settings) {
+            this.settings = JSON.parse(JSON.stringify(preset.settings));
+            return;
+        }
+        
+        // Built-in presets only choose classes; thresholds and colors stay
+        labels.forEach(className => {
+            this.setEnabled(className, !preset.include || preset.include.includes(className));
+        });
+    }
+    
+    savePreset(name) {
+        const preset = { name, settings: JSON.parse(JSON.stringify(this.settings)) };
+        const builtIn = BUILT_IN_PRESETS.some(existing => existing.name === name);
+        if (builtIn) {
+            throw new Error(`"${name}" is a built-in preset`);
+        }
+        
+        this.savedPresets = this.savedPresets.filter(existing => existing.name !== name);
+        this.savedPresets.push(preset);
+        saveJSON(this.storageKey, this.savedPresets);
+    }
+    
+    deletePreset(name) {
+        this.savedPresets = this.savedPresets.filter(preset => preset.name !== name);
+        saveJSON(this.storageKey, this.savedPresets);
+    }
+}
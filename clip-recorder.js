@@ -0,0 +1,181 @@
+// Snapshots and WebM clips of the video with the detection overlay
+// Frames are composited from layers (the source element, then the overlay
+// canvas) onto a canvas whose stream feeds MediaRecorder.
+
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Draws each layer stretched over the whole canvas. Layers that can't be
+// drawn yet (e.g. a video without a frame) are skipped.
+function drawLayers(ctx, layers, width, height) {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    layers.forEach(layer => {
+        try {
+            ctx.drawImage(layer, 0, 0, width, height);
+        } catch (error) {
+            // Not decodable yet; the next frame will have it
+        }
+    });
+}
+
+// PNG of the layers at the size of the last one (the overlay canvas)
+function snapshotLayers(layers) {
+    const top = layers[layers.length - 1];
+    const canvas = document.createElement('canvas');
+    canvas.width = top.width;
+    canvas.height = top.height;
+    drawLayers(canvas.getContext('2d'), layers, canvas.width, canvas.height);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+class ClipRecorder {
+    // `getLayers` returns the elements to composite, bottom first, or an
+    // empty array when there is nothing to show
+    constructor(getLayers, options = {}) {
+        this.getLayers = getLayers;
+        this.frameRate = options.frameRate || 30;
+        this.mimeType = CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.stream = null;
+        this.drawFrame = null;
+        
+        // While armed, short recordings are restarted every preRollSeconds
+        // and the two newest are kept, so a clip can start from one that
+        // has been running for at least the pre-roll
+        this.armed = false;
+        this.preRollSeconds = 5;
+        this.segments = [];
+        this.rotateTimer = null;
+        
+        this.clip = null;
+    }
+    
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+    
+    get isRecording() {
+        return Boolean(this.clip);
+    }
+    
+    get clipDuration() {
+        return this.clip ? Date.now() - this.clip.startedAt : 0;
+    }
+    
+    // Keeps a rolling pre-roll buffer so clips can include the moments
+    // before start() was called
+    arm(preRollSeconds) {
+        this.disarm();
+        this.armed = true;
+        this.preRollSeconds = Math.max(1, preRollSeconds);
+        this.startCompositing();
+        this.rotateSegments();
+        this.rotateTimer = setInterval(() => this.rotateSegments(), this.preRollSeconds * 1000);
+    }
+    
+    disarm() {
+        this.armed = false;
+        clearInterval(this.rotateTimer);
+        this.rotateTimer = null;
+        this.segments.forEach(segment => segment.recorder.stop());
+        this.segments = [];
+        
+        if (!this.clip) {
+            this.stopCompositing();
+        }
+    }
+    
+    rotateSegments() {
+        this.segments.push(this.startSegment());
+        while (this.segments.length > 2) {
+            this.segments.shift().recorder.stop();
+        }
+    }
+    
+    start() {
+        if (this.clip) return;
+        
+        // The oldest segment holds the most pre-roll
+        if (this.segments.length > 0) {
+            this.clip = this.segments.shift();
+        } else {
+            this.startCompositing();
+            this.clip = this.startSegment();
+        }
+    }
+    
+    // Resolves with the clip as { blob, duration } where duration is in ms
+    // and includes any pre-roll
+    stop() {
+        const clip = this.clip;
+        if (!clip) return Promise.resolve(null);
+        this.clip = null;
+        
+        if (!this.armed) {
+            this.stopCompositing();
+        }
+        
+        return new Promise(resolve => {
+            clip.recorder.addEventListener('stop', () => {
+                resolve({
+                    blob: new Blob(clip.chunks, { type: this.mimeType || 'video/webm' }),
+                    duration: Date.now() - clip.startedAt
+                });
+            }, { once: true });
+            clip.recorder.stop();
+        });
+    }
+    
+    startSegment() {
+        const options = this.mimeType ? { mimeType: this.mimeType } : {};
+        const segment = {
+            recorder: new MediaRecorder(this.stream, options),
+            chunks: [],
+            startedAt: Date.now()
+        };
+        
+        segment.recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) {
+                segment.chunks.push(e.data);
+            }
+        });
+        segment.recorder.addEventListener('error', (e) => {
+            console.error('Clip recorder error:', e.error || e);
+        });
+        
+        // Timeslices keep the encoder output in small chunks
+        segment.recorder.start(1000);
+        return segment;
+    }
+    
+    // The canvas keeps the size it starts with so the stream never changes
+    // resolution; later frames of another size are scaled to fit
+    startCompositing() {
+        if (this.stream) return;
+        
+        const layers = this.getLayers();
+        const top = layers[layers.length - 1];
+        this.canvas.width = top ? top.width : 640;
+        this.canvas.height = top ? top.height : 480;
+        this.stream = this.canvas.captureStream(this.frameRate);
+        
+        const draw = () => {
+            drawLayers(this.ctx, this.getLayers(), this.canvas.width, this.canvas.height);
+            this.drawFrame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+    
+    stopCompositing() {
+        if (!this.stream) return;
+        
+        cancelAnimationFrame(this.drawFrame);
+        this.drawFrame = null;
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+}
@@ -0,0 +1,20 @@
+// Where the app loads TensorFlow.js, COCO-SSD and the model weights from.
+// By default everything comes from public CDNs. To run without internet
+// access, copy the assets next to the app with scripts/vendor-assets.sh and
+// set assetPath to the folder they were copied to.
+const APP_CONFIG = {
+    // e.g. 'vendor/'; null loads from the CDNs below
+    assetPath: null,
+    
+    cdn: {
+        tfjs: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+        cocoSsd: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js',
+        // Only loaded when the WASM backend is picked
+        wasm: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.10.0/dist/',
+        models: 'https://storage.googleapis.com/tfjs-models/savedmodel/'
+    },
+    
+    // Caches the app, libraries and weights for offline use. Service
+    // workers need the app to be served over http(s).
+    serviceWorker: true
+};
@@ -0,0 +1,354 @@
+// Headless detection core
+// Loads a model and turns frames of images, videos and canvases into
+// filtered, tracked detections without touching the page. Listen with
+// on(type, listener):
+//   detection   - { detections, rawDetections, alerts, detectionTime, width, height }
+//                 after every frame
+//   alert       - each alert fired by the rules in `alertEngine`
+//   trackend    - a confirmed track that has left the frame
+//   modelstatus - { status, model, progress, error } with status 'loading',
+//                 'downloading' (progress 0..1), 'ready' or 'error'
+//   error       - errors from loading and detection; the call that failed
+//                 rejects with the same error
+
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return this;
+    }
+    
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+        return this;
+    }
+    
+    emit(type, payload) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+}
+
+class ObjectDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.modelRegistry = options.modelRegistry || new ModelRegistry();
+        this.classFilter = options.classFilter || new ClassFilter();
+        
+        // Inference runs in a worker where the browser supports it
+        this.useWorker = options.useWorker !== false;
+        this.workerUrl = options.workerUrl || 'inference-worker.js';
+        
+        this.threshold = 0.5;
+        this.maxDetections = 20;
+        this.backend = 'auto';
+        
+        // Classes to report; null reports every class the filter accepts
+        this.classes = null;
+        
+        // Score margin below the thresholds that tracked objects may drop to
+        // while the smoother's hysteresis is on
+        this.persistMargin = 0.15;
+        
+        // Called with each frame's confirmed detections and the frame size
+        // before alerts run; returns the detections to report
+        this.postProcess = options.postProcess || null;
+        
+        this.detector = null;
+        this.model = null;
+        this.labels = COCO_CLASSES;
+        this.modelLoaded = false;
+        this.loading = null;
+        
+        // Set on forks, which run on the model of another detector
+        this.modelOwner = null;
+        
+        this.governor = new PerformanceGovernor();
+        this.smoother = new DetectionSmoother();
+        this.alertEngine = new AlertEngine();
+        this.tracker = new ObjectTracker({
+            colorFor: track => this.classFilter.colorFor(track.class, this.modelSource.labels),
+            onTrackEnd: track => {
+                this.alertEngine.trackEnded(track.id);
+                if (this.smoother.trackEnded(track)) {
+                    this.emit('trackend', track);
+                }
+            }
+        });
+        
+        // Continuous detection started by start()
+        this.running = false;
+        this.source = null;
+        this.busy = false;
+        this.animationFrame = null;
+        
+        this.configure(options);
+    }
+    
+    // Accepts threshold, maxDetections, classes, persistMargin and backend,
+    // plus `smoothing` and `performance` options for the smoother and the
+    // governor. A new backend applies from the next load().
+    configure(options = {}) {
+        ['threshold', 'maxDetections', 'classes', 'persistMargin', 'backend'].forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+        
+        if (options.smoothing) {
+            this.smoother.configure(options.smoothing);
+        }
+        if (options.performance) {
+            this.governor.configure({
+                maxInferenceRate: this.governor.maxInferenceRate,
+                autoScale: this.governor.autoScale,
+                ...options.performance
+            });
+        }
+    }
+    
+    get margin() {
+        return this.smoother.hysteresis ? this.persistMargin : 0;
+    }
+    
+    // Detector that runs on this one's model but keeps its own filters,
+    // tracks, smoothing, alerts and rate limit, e.g. one per camera
+    fork(options = {}) {
+        const fork = new ObjectDetector({ modelRegistry: this.modelRegistry, ...options });
+        fork.modelOwner = this;
+        return fork;
+    }
+    
+    // The detector whose model frames run on
+    get modelSource() {
+        return this.modelOwner || this;
+    }
+    
+    // Loads a model from the registry, replacing the current one
+    load(modelId = this.modelRegistry.defaultId) {
+        this.loading = this.loadModel(modelId);
+        return this.loading;
+    }
+    
+    async loadModel(modelId) {
+        const entry = this.modelRegistry.get(modelId);
+        this.modelLoaded = false;
+        
+        try {
+            if (!entry) {
+                throw new Error(`Unknown model: ${modelId}`);
+            }
+            this.emit('modelstatus', { status: 'loading', model: entry });
+            
+            // Download the weights here first to report progress; models
+            // picked as local files have nothing to download
+            const modelUrl = entry.files ? null : (entry.options && entry.options.modelUrl) || entry.url;
+            if (modelUrl) {
+                await prefetchModel(modelUrl, progress => {
+                    this.emit('modelstatus', { status: 'downloading', model: entry, progress });
+                });
+                this.emit('modelstatus', { status: 'loading', model: entry });
+            }
+            
+            if (this.detector) {
+                this.detector.backend = this.backend;
+                await this.loadDetector(this.detector, entry);
+            } else {
+                this.detector = await this.createDetector(entry);
+            }
+            
+            this.model = entry;
+            this.labels = entry.labels;
+            this.modelLoaded = true;
+            this.governor.reset();
+            this.emit('modelstatus', { status: 'ready', model: entry });
+            return entry;
+        } catch (error) {
+            this.emit('modelstatus', { status: 'error', model: entry, error });
+            this.emit('error', error);
+            throw error;
+        }
+    }
+    
+    async createDetector(entry) {
+        // Prefer running inference in a worker; fall back to the main
+        // thread when workers can't load the model (e.g. no OffscreenCanvas)
+        if (this.useWorker && WorkerDetector.isSupported()) {
+            const detector = new WorkerDetector(this.workerUrl);
+            detector.backend = this.backend;
+            try {
+                return await this.loadDetector(detector, entry);
+            } catch (error) {
+                detector.dispose();
+                console.warn('Worker inference unavailable, using main thread:', error);
+            }
+        }
+        
+        // Pages that only embed the core may not have loaded the libraries
+        if (typeof tf === 'undefined' || typeof cocoSsd === 'undefined') {
+            await loadScripts(libraryUrls());
+        }
+        
+        const detector = new MainThreadDetector();
+        detector.backend = this.backend;
+        return this.loadDetector(detector, entry);
+    }
+    
+    async loadDetector(detector, entry) {
+        let timeout;
+        const timeoutPromise = new Promise((_, reject) => {
+            timeout = setTimeout(() => reject(new Error('Model loading timeout')), entry.loadTimeout || 30000);
+        });
+        
+        try {
+            await Promise.race([detector.load(entry), timeoutPromise]);
+            return detector;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+    
+    // Runs the model on one frame of an image, video, canvas or ImageBitmap,
+    // loading the model first if needed. `live` marks frames of a running
+    // sequence, which are smoothed and have to be confirmed; other frames
+    // (single images, seeking) are reported as they are.
+    async detect(source, { live = false } = {}) {
+        const owner = this.modelSource;
+        if (!owner.modelLoaded) {
+            await (owner.loading || owner.load());
+        }
+        
+        let result;
+        try {
+            const startTime = Date.now();
+            const predictions = await owner.detector.detect(source, {
+                minScore: Math.max(0.01, this.classFilter.minThreshold(this.threshold) - this.margin),
+                scale: this.governor.scale
+            });
+            
+            const detectionTime = Date.now() - startTime;
+            this.governor.recordDetection(detectionTime);
+            
+            // Filter by class and per-class threshold, lowered by the
+            // hysteresis margin so tracked objects can persist
+            const accepted = predictions.filter(prediction =>
+                (!this.classes || this.classes.includes(prediction.class)) &&
+                this.classFilter.accepts(prediction, this.threshold, this.margin)
+            );
+            
+            // Associate with persistent tracks; only confirmed tracks are
+            // reported, with stabilized boxes
+            const rawDetections = this.tracker.update(accepted.slice(0, this.maxDetections));
+            let detections = this.smoother.process(
+                rawDetections,
+                detection => this.classFilter.thresholdFor(detection.class, this.threshold),
+                { live }
+            );
+            
+            const { width, height } = elementSize(source);
+            if (this.postProcess) {
+                detections = this.postProcess(detections, width, height);
+            }
+            
+            const alerts = this.alertEngine.evaluate(detections);
+            result = { detections, rawDetections, alerts, detectionTime, width, height };
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+        
+        this.emit('detection', result);
+        result.alerts.forEach(alert => this.emit('alert', alert));
+        return result;
+    }
+    
+    // Detects continuously on a video (or a canvas that is redrawn) until
+    // stop(), as fast as the governor allows. Loads the model first if
+    // needed; a failed load stops the loop and is reported as an error
+    // event (by the model's owner for a fork).
+    start(source) {
+        this.stop();
+        this.source = source;
+        this.running = true;
+        
+        const owner = this.modelSource;
+        if (!owner.modelLoaded) {
+            (owner.loading || owner.load()).catch(error => {
+                if (owner !== this) {
+                    this.emit('error', error);
+                }
+                if (this.source === source) {
+                    this.stop();
+                }
+            });
+        }
+        
+        const loop = () => {
+            if (!this.running) return;
+            
+            const frameReady = source.readyState === undefined || source.readyState >= 2;
+            if (!this.busy && this.modelSource.modelLoaded && frameReady && this.governor.shouldRun()) {
+                this.detectFrame(source);
+            }
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        loop();
+    }
+    
+    async detectFrame(source) {
+        this.busy = true;
+        try {
+            await this.detect(source, { live: true });
+        } catch (error) {
+            // Already reported as an error event
+            this.stop();
+        } finally {
+            this.busy = false;
+        }
+    }
+    
+    stop() {
+        this.running = false;
+        this.source = null;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+    
+    // Forget tracks, smoothing state and alert timers, e.g. when the input
+    // switches to an unrelated scene
+    reset() {
+        this.tracker.reset();
+        this.smoother.reset();
+        this.alertEngine.reset();
+    }
+    
+    dispose() {
+        this.stop();
+        if (this.detector) {
+            this.detector.dispose();
+            this.detector = null;
+        }
+        this.modelLoaded = false;
+        this.loading = null;
+    }
+}
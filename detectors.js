@@ -0,0 +1,167 @@
+// Detection backends
+// Both detectors share the same interface: load(spec) with a model registry
+// entry, detect(element, { minScore, scale }) resolving to COCO-SSD style
+// predictions, memory() with tf.memory() figures, and dispose(). Loading a
+// new spec replaces the current model; `backend` is applied on each load.
+
+// Boxes requested from the model per frame; the app applies its own
+// threshold and maxDetections limit afterwards
+const MAX_MODEL_BOXES = 100;
+
+function elementSize(element) {
+    return {
+        width: element.videoWidth || element.naturalWidth || element.width,
+        height: element.videoHeight || element.naturalHeight || element.height
+    };
+}
+
+// Maps boxes found on an input scaled by `scale` back to source pixels
+function unscaleBoxes(predictions, scale) {
+    if (scale === 1) return predictions;
+    return predictions.map(prediction => ({
+        ...prediction,
+        bbox: prediction.bbox.map(value => value / scale)
+    }));
+}
+
+// Runs the model in a Web Worker. Frames are transferred as ImageBitmaps so
+// inference never blocks rendering on the main thread.
+class WorkerDetector {
+    constructor(workerUrl = 'inference-worker.js') {
+        this.kind = 'worker';
+        this.backend = 'auto';
+        this.activeBackend = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        
+        this.worker = new Worker(workerUrl);
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            this.rejectAll(new Error(e.message || 'Inference worker failed'));
+        });
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+    
+    async load(spec) {
+        const { type, options, url, files, labelMap } = spec;
+        const { backend } = await this.request('load', {
+            libraries: libraryUrls(),
+            backend: this.backend,
+            wasm: wasmAssets(),
+            spec: { type, options, url, files, labelMap }
+        });
+        this.activeBackend = backend;
+    }
+    
+    // Downscaled frames are resized while the bitmap is created, before
+    // they are transferred to the worker
+    async detect(element, { minScore = 0.5, scale = 1 } = {}) {
+        const { width, height } = elementSize(element);
+        const bitmap = scale === 1
+            ? await createImageBitmap(element)
+            : await createImageBitmap(element, {
+                resizeWidth: Math.max(1, Math.round(width * scale)),
+                resizeHeight: Math.max(1, Math.round(height * scale)),
+                resizeQuality: 'low'
+            });
+        const predictions = await this.request('detect', { bitmap, maxBoxes: MAX_MODEL_BOXES, minScore }, [bitmap]);
+        return unscaleBoxes(predictions, bitmap.width / width);
+    }
+    
+    memory() {
+        return this.request('memory', {});
+    }
+    
+    dispose() {
+        this.worker.terminate();
+        this.rejectAll(new Error('Inference worker stopped'));
+    }
+    
+    request(type, payload, transfer = []) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+    
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+    
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+}
+
+// Fallback for browsers without OffscreenCanvas support in workers
+class MainThreadDetector {
+    constructor() {
+        this.kind = 'main';
+        this.backend = 'auto';
+        this.activeBackend = null;
+        this.model = null;
+        this.scaleCanvas = null;
+    }
+    
+    async load(spec) {
+        // Check if TensorFlow.js is available
+        if (typeof tf === 'undefined') {
+            throw new Error('TensorFlow.js not loaded');
+        }
+        
+        if (typeof cocoSsd === 'undefined') {
+            throw new Error('COCO-SSD model not loaded');
+        }
+        
+        this.dispose();
+        this.activeBackend = await useBackend(this.backend, wasmAssets(), async url => {
+            if ((await loadScripts([url])).length > 0) {
+                throw new Error(`Failed to load ${url}`);
+            }
+        });
+        this.model = await loadDetectionModel(spec);
+    }
+    
+    async detect(element, { minScore = 0.5, scale = 1 } = {}) {
+        if (scale === 1) {
+            return this.model.detect(element, MAX_MODEL_BOXES, minScore);
+        }
+        
+        const { width, height } = elementSize(element);
+        if (!this.scaleCanvas) {
+            this.scaleCanvas = document.createElement('canvas');
+        }
+        this.scaleCanvas.width = Math.max(1, Math.round(width * scale));
+        this.scaleCanvas.height = Math.max(1, Math.round(height * scale));
+        this.scaleCanvas.getContext('2d').drawImage(element, 0, 0, this.scaleCanvas.width, this.scaleCanvas.height);
+        
+        const predictions = await this.model.detect(this.scaleCanvas, MAX_MODEL_BOXES, minScore);
+        return unscaleBoxes(predictions, this.scaleCanvas.width / width);
+    }
+    
+    async memory() {
+        return tf.memory();
+    }
+    
+    dispose() {
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+}
@@ -0,0 +1,270 @@
+// Evaluation page: runs a set of annotated images through the detection
+// core and reports precision, recall, AP and confusions against the
+// ground truth
+const EVALUATION_THRESHOLDS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+class EvaluationPage {
+    constructor() {
+        // Same model, backend and confidence threshold as the main page
+        const appSettings = loadJSON('objectDetection.settings', {});
+        const settings = appSettings.settings || {};
+        this.core = new ObjectDetector({ backend: settings.backend || 'auto' });
+        this.modelId = this.core.modelRegistry.get(appSettings.modelId) ? appSettings.modelId : undefined;
+        this.appThreshold = typeof settings.confidenceThreshold === 'number' ? settings.confidenceThreshold : 0.5;
+        
+        // Boxes below every threshold of the sweep still count towards AP
+        this.core.configure({ threshold: 0.05, maxDetections: MAX_MODEL_BOXES });
+        
+        this.imageFiles = [];
+        this.groundTruth = new Map();
+        this.results = [];
+        this.running = false;
+        this.threshold = this.appThreshold;
+        
+        this.modelStatus = document.getElementById('modelStatus');
+        this.imagesInput = document.getElementById('evalImagesInput');
+        this.annotationsInput = document.getElementById('evalAnnotationsInput');
+        this.iouSelect = document.getElementById('evalIouSelect');
+        this.runButton = document.getElementById('runEvaluation');
+        this.summaryEl = document.getElementById('evalSummary');
+        this.resultsEl = document.getElementById('evalResults');
+        this.mapEl = document.getElementById('evalMap');
+        this.precisionEl = document.getElementById('evalPrecision');
+        this.recallEl = document.getElementById('evalRecall');
+        this.f1El = document.getElementById('evalF1');
+        this.confidenceSlider = document.getElementById('evalConfidenceSlider');
+        this.confidenceValue = document.getElementById('evalConfidenceValue');
+        this.appThresholdEl = document.getElementById('evalAppThreshold');
+        this.sweepChart = document.getElementById('evalSweepChart');
+        this.sweepBody = document.getElementById('evalSweepBody');
+        this.classesBody = document.getElementById('evalClassesBody');
+        this.confusionTable = document.getElementById('evalConfusion');
+        
+        this.confidenceSlider.value = this.threshold;
+        this.confidenceValue.textContent = this.threshold.toFixed(1);
+        this.appThresholdEl.textContent = this.appThreshold.toFixed(1);
+        
+        this.imagesInput.addEventListener('change', (e) => {
+            this.imageFiles = Array.from(e.target.files).filter(file => file.type.startsWith('image/'));
+            this.updateSummary();
+        });
+        this.annotationsInput.addEventListener('change', (e) => this.loadAnnotations(e.target.files));
+        this.runButton.addEventListener('click', () => this.run());
+        this.iouSelect.addEventListener('change', () => this.render());
+        this.confidenceSlider.addEventListener('input', (e) => {
+            this.threshold = parseFloat(e.target.value);
+            this.confidenceValue.textContent = this.threshold.toFixed(1);
+            this.render();
+        });
+        this.sweepBody.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-threshold]');
+            if (row) {
+                this.confidenceSlider.value = row.dataset.threshold;
+                this.confidenceSlider.dispatchEvent(new Event('input'));
+            }
+        });
+        window.addEventListener('resize', () => this.renderSweepChart());
+        this.core.on('modelstatus', status => showModelStatus(this.modelStatus, status));
+        
+        this.init();
+    }
+    
+    async init() {
+        try {
+            await this.core.load(this.modelId);
+        } catch (error) {
+            this.summaryEl.textContent = 'Failed to load the model: ' + error.message;
+        }
+        this.updateSummary();
+    }
+    
+    // Reads COCO JSON and Pascal VOC XML files; later files add to or
+    // replace the boxes of earlier ones
+    async loadAnnotations(files) {
+        const groundTruth = new Map();
+        try {
+            for (const file of Array.from(files)) {
+                const text = await file.text();
+                if (file.name.toLowerCase().endsWith('.xml')) {
+                    const { fileName, boxes } = parseVocGroundTruth(text);
+                    groundTruth.set(fileName, boxes);
+                } else {
+                    parseCocoGroundTruth(JSON.parse(text)).forEach((boxes, fileName) => {
+                        groundTruth.set(fileName, boxes);
+                    });
+                }
+            }
+        } catch (error) {
+            this.groundTruth = new Map();
+            this.updateSummary();
+            this.summaryEl.textContent = 'Failed to read the annotations: ' + error.message;
+            return;
+        }
+        
+        this.groundTruth = groundTruth;
+        this.updateSummary();
+    }
+    
+    // Images that have ground truth, in name order
+    get annotatedImages() {
+        return this.imageFiles
+            .filter(file => this.groundTruth.has(file.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    updateSummary() {
+        const annotated = this.annotatedImages.length;
+        this.runButton.disabled = this.running || !this.core.modelLoaded || annotated === 0;
+        
+        if (this.imageFiles.length === 0 || this.groundTruth.size === 0) {
+            this.summaryEl.textContent = 'Choose the images and their COCO JSON or Pascal VOC XML annotations.';
+            return;
+        }
+        
+        const unannotated = this.imageFiles.length - annotated;
+        this.summaryEl.textContent = `${annotated} image${annotated === 1 ? '' : 's'} with ground truth` +
+            (unannotated > 0 ? `, ${unannotated} without (skipped)` : '') + '.';
+    }
+    
+    async run() {
+        const files = this.annotatedImages;
+        this.running = true;
+        this.updateSummary();
+        
+        const source = new ImageBatchSource(document.createElement('img'), files);
+        const results = [];
+        try {
+            for (let index = 0; index < files.length; index++) {
+                this.summaryEl.textContent = `Evaluating image ${index + 1} of ${files.length}...`;
+                await source.showIndex(index);
+                
+                // Images are unrelated, so no tracks carry over between them
+                this.core.reset();
+                const { detections } = await this.core.detect(source.element);
+                results.push({
+                    fileName: files[index].name,
+                    groundTruth: this.groundTruth.get(files[index].name),
+                    detections: detections.map(({ class: className, score, bbox }) => ({ class: className, score, bbox }))
+                });
+            }
+            
+            this.results = results;
+            this.running = false;
+            this.updateSummary();
+            this.render();
+        } catch (error) {
+            console.error('Evaluation failed:', error);
+            this.running = false;
+            this.updateSummary();
+            this.summaryEl.textContent = 'Evaluation failed: ' + error.message;
+        } finally {
+            source.stop();
+        }
+    }
+    
+    get iouThresholds() {
+        return this.iouSelect.value === 'coco' ? COCO_IOU_THRESHOLDS : [parseFloat(this.iouSelect.value)];
+    }
+    
+    render() {
+        this.resultsEl.classList.toggle('hidden', this.results.length === 0);
+        if (this.results.length === 0) return;
+        
+        const iouThresholds = this.iouThresholds;
+        const evaluation = evaluateDetections(this.results, { iouThresholds, minScore: this.threshold });
+        
+        this.mapEl.textContent = formatPercent(evaluation.map);
+        this.precisionEl.textContent = formatPercent(evaluation.precision);
+        this.recallEl.textContent = formatPercent(evaluation.recall);
+        this.f1El.textContent = formatPercent(evaluation.f1);
+        
+        this.sweep = confidenceSweep(this.results, { iouThreshold: iouThresholds[0], thresholds: EVALUATION_THRESHOLDS });
+        this.renderSweepChart();
+        this.renderSweepTable();
+        this.renderClasses(evaluation.classes);
+        this.renderConfusion(confusionMatrix(this.results, { iouThreshold: iouThresholds[0], minScore: this.threshold }));
+    }
+    
+    renderSweepChart() {
+        if (!this.sweep) return;
+        
+        const colors = { precision: '#21808d', recall: '#e68161', f1: '#a84b2f' };
+        drawLineChart(this.sweepChart, {
+            times: this.sweep.map(point => point.threshold),
+            series: ['precision', 'recall', 'f1'].map(key => ({
+                className: key,
+                values: this.sweep.map(point => Math.round(point[key] * 100))
+            })),
+            colorFor: key => colors[key],
+            formatTime: threshold => threshold.toFixed(1)
+        });
+    }
+    
+    renderSweepTable() {
+        let html = '';
+        this.sweep.forEach(point => {
+            const current = Math.abs(point.threshold - this.threshold) < 1e-6;
+            html += `
+                <tr data-threshold="${point.threshold}" class="${current ? 'eval-current' : ''}">
+                    <td>${point.threshold.toFixed(1)}${point.threshold === this.appThreshold ? ' (main page)' : ''}</td>
+                    <td>${formatPercent(point.precision)}</td>
+                    <td>${formatPercent(point.recall)}</td>
+                    <td>${formatPercent(point.f1)}</td>
+                    <td>${point.tp}</td>
+                    <td>${point.fp}</td>
+                    <td>${point.fn}</td>
+                </tr>
+            `;
+        });
+        this.sweepBody.innerHTML = html;
+    }
+    
+    renderClasses(classes) {
+        const labels = this.core.labels || [];
+        let html = '';
+        classes.forEach(entry => {
+            // Ground truth the model has no class for can never be found
+            const unknown = entry.groundTruth > 0 && labels.length > 0 && !labels.includes(entry.class);
+            html += `
+                <tr>
+                    <td>${escapeHTML(entry.class)}${unknown ? ' <span class="text-secondary">(not a model class)</span>' : ''}</td>
+                    <td>${entry.groundTruth}</td>
+                    <td>${entry.tp}</td>
+                    <td>${entry.fp}</td>
+                    <td>${entry.fn}</td>
+                    <td>${formatPercent(entry.precision)}</td>
+                    <td>${entry.groundTruth > 0 ? formatPercent(entry.recall) : '—'}</td>
+                    <td>${entry.ap === null ? '—' : formatPercent(entry.ap)}</td>
+                </tr>
+            `;
+        });
+        this.classesBody.innerHTML = html || '<tr><td colspan="8">No ground truth or detections</td></tr>';
+    }
+    
+    renderConfusion({ labels, matrix }) {
+        const max = Math.max(1, ...matrix.flat());
+        let html = '<thead><tr><th>Actual \\ Detected</th>';
+        labels.forEach(label => {
+            html += `<th>${escapeHTML(label)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        
+        matrix.forEach((row, rowIndex) => {
+            html += `<tr><th>${escapeHTML(labels[rowIndex])}</th>`;
+            row.forEach((count, columnIndex) => {
+                const kind = rowIndex === columnIndex ? 'eval-hit' : 'eval-miss';
+                const style = count > 0 ? ` style="--cell-alpha: ${(0.15 + 0.6 * (count / max)).toFixed(2)}"` : '';
+                html += `<td class="${count > 0 ? kind : ''}"${style}>${count || ''}</td>`;
+            });
+            html += '</tr>';
+        });
+        
+        this.confusionTable.innerHTML = html + '</tbody>';
+    }
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+document.addEventListener('DOMContentLoaded', () => new EvaluationPage());
@@ -0,0 +1,282 @@
+// Accuracy evaluation against ground truth
+// Ground truth is read from a COCO dataset JSON or Pascal VOC XML files as
+// lists of { class, bbox } per image file name. Detections are matched to
+// it as in the VOC and COCO evaluations: best score first, each one to the
+// unmatched box of its class it overlaps most, if by at least the IoU
+// threshold. Crowd and "difficult" boxes are kept with `ignore: true`: they
+// don't count as ground truth, and detections on them are left out rather
+// than scored as false positives. As in COCO, a detection is on a crowd box
+// when the box covers enough of the detection, not by IoU.
+
+// VOC class names that COCO spells differently
+const VOC_CLASS_ALIASES = {
+    aeroplane: 'airplane',
+    diningtable: 'dining table',
+    motorbike: 'motorcycle',
+    pottedplant: 'potted plant',
+    sofa: 'couch',
+    tvmonitor: 'tv'
+};
+
+// IoU thresholds averaged by COCO's mAP@[.5:.95]
+const COCO_IOU_THRESHOLDS = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+
+// Ground truth is looked up by file name, wherever the files were picked from
+function baseName(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+// Map of file name to boxes for every image in a COCO dataset, including
+// images without annotations
+function parseCocoGroundTruth(dataset) {
+    if (!dataset || !Array.isArray(dataset.images) || !Array.isArray(dataset.annotations)) {
+        throw new Error('Not a COCO dataset: expected "images" and "annotations"');
+    }
+    
+    const categories = new Map((dataset.categories || []).map(category => [category.id, category.name]));
+    const boxesByImage = new Map(dataset.images.map(image => [image.id, []]));
+    
+    dataset.annotations.forEach(annotation => {
+        const boxes = boxesByImage.get(annotation.image_id);
+        if (!boxes) return;
+        const box = {
+            class: categories.get(annotation.category_id) || String(annotation.category_id),
+            bbox: annotation.bbox.slice(0, 4)
+        };
+        if (annotation.iscrowd) {
+            box.ignore = true;
+            box.crowd = true;
+        }
+        boxes.push(box);
+    });
+    
+    const groundTruth = new Map();
+    dataset.images.forEach(image => {
+        groundTruth.set(baseName(image.file_name), boxesByImage.get(image.id));
+    });
+    return groundTruth;
+}
+
+// { fileName, boxes } from one Pascal VOC annotation file
+function parseVocGroundTruth(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const fileName = doc.querySelector('annotation > filename');
+    if (doc.querySelector('parsererror') || !fileName) {
+        throw new Error('Not a Pascal VOC annotation file');
+    }
+    
+    const boxes = [];
+    doc.querySelectorAll('annotation > object').forEach(object => {
+        const value = selector => parseFloat(object.querySelector(selector)?.textContent);
+        const name = object.querySelector('name').textContent.trim();
+        const [xmin, ymin, xmax, ymax] = ['xmin', 'ymin', 'xmax', 'ymax'].map(key => value(`bndbox > ${key}`));
+        const box = {
+            class: VOC_CLASS_ALIASES[name] || name,
+            bbox: [xmin, ymin, xmax - xmin, ymax - ymin]
+        };
+        if (value('difficult') === 1) {
+            box.ignore = true;
+        }
+        boxes.push(box);
+    });
+    
+    return { fileName: baseName(fileName.textContent.trim()), boxes };
+}
+
+// Share of `detection` covered by `region`, COCO's overlap with a crowd
+// region. A small detection inside a large crowd box has a low IoU with it.
+function coverage(detection, region) {
+    const [dx, dy, dw, dh] = detection;
+    const [rx, ry, rw, rh] = region;
+    const width = Math.min(dx + dw, rx + rw) - Math.max(dx, rx);
+    const height = Math.min(dy + dh, ry + rh) - Math.max(dy, ry);
+    const area = dw * dh;
+    return area > 0 ? Math.max(0, width) * Math.max(0, height) / area : 0;
+}
+
+// Greedy matching of one image's detections to its ground truth. Returns
+// the detections in score order and the index of the matched box for each
+// (-1 when unmatched). Detections that only match an ignored box are
+// dropped from both.
+function matchDetections(groundTruth, detections, iouThreshold, { sameClass = true, taken = null } = {}) {
+    const used = taken || new Array(groundTruth.length).fill(false);
+    const sorted = [];
+    const matches = [];
+    
+    [...detections].sort((a, b) => b.score - a.score).forEach(detection => {
+        let best = -1;
+        let bestIoU = iouThreshold;
+        let ignored = false;
+        groundTruth.forEach((box, index) => {
+            if (sameClass && box.class !== detection.class) return;
+            if (box.ignore) {
+                const overlap = box.crowd ? coverage(detection.bbox, box.bbox) : computeIoU(detection.bbox, box.bbox);
+                ignored = ignored || overlap >= iouThreshold;
+                return;
+            }
+            const iou = computeIoU(detection.bbox, box.bbox);
+            if (!used[index] && iou >= bestIoU) {
+                best = index;
+                bestIoU = iou;
+            }
+        });
+        
+        if (best >= 0) {
+            used[best] = true;
+        } else if (ignored) {
+            return;
+        }
+        sorted.push(detection);
+        matches.push(best);
+    });
+    
+    return { sorted, matches };
+}
+
+// Every detection of every image as { class, score, correct }, best score
+// first, and the number of ground-truth boxes per class
+function scoreDetections(images, iouThreshold) {
+    const scored = [];
+    const groundTruthCounts = {};
+    
+    images.forEach(({ groundTruth, detections }) => {
+        groundTruth.forEach(box => {
+            if (box.ignore) return;
+            groundTruthCounts[box.class] = (groundTruthCounts[box.class] || 0) + 1;
+        });
+        
+        const { sorted, matches } = matchDetections(groundTruth, detections, iouThreshold);
+        sorted.forEach((detection, index) => {
+            scored.push({ class: detection.class, score: detection.score, correct: matches[index] >= 0 });
+        });
+    });
+    
+    scored.sort((a, b) => b.score - a.score);
+    return { scored, groundTruthCounts };
+}
+
+// Area under the precision/recall curve of detections sorted best first,
+// with precision made monotonic (all-point interpolation, VOC 2010+)
+function averagePrecision(scored, groundTruthCount) {
+    if (groundTruthCount === 0) return 0;
+    
+    const recall = [0];
+    const precision = [1];
+    let truePositives = 0;
+    scored.forEach((detection, index) => {
+        if (detection.correct) truePositives++;
+        recall.push(truePositives / groundTruthCount);
+        precision.push(truePositives / (index + 1));
+    });
+    
+    for (let i = precision.length - 2; i >= 0; i--) {
+        precision[i] = Math.max(precision[i], precision[i + 1]);
+    }
+    
+    let area = 0;
+    for (let i = 1; i < recall.length; i++) {
+        area += (recall[i] - recall[i - 1]) * precision[i];
+    }
+    return area;
+}
+
+// Counts at a confidence threshold; precision is 1 when nothing was detected
+function countAt(scored, groundTruthCount, minScore) {
+    let tp = 0;
+    let fp = 0;
+    scored.forEach(detection => {
+        if (detection.score < minScore) return;
+        if (detection.correct) {
+            tp++;
+        } else {
+            fp++;
+        }
+    });
+    
+    const fn = groundTruthCount - tp;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+    const recall = groundTruthCount > 0 ? tp / groundTruthCount : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { tp, fp, fn, precision, recall, f1 };
+}
+
+// Per-class and overall results for `images` ([{ groundTruth, detections }]).
+// AP is averaged over `iouThresholds`; counts, precision and recall are at
+// the first IoU threshold and `minScore`. mAP covers the classes that have
+// ground truth.
+function evaluateDetections(images, { iouThresholds = [0.5], minScore = 0 } = {}) {
+    const runs = iouThresholds.map(iouThreshold => scoreDetections(images, iouThreshold));
+    const { scored, groundTruthCounts } = runs[0];
+    
+    const classNames = new Set([...Object.keys(groundTruthCounts), ...scored.map(detection => detection.class)]);
+    const classes = [...classNames].sort().map(className => {
+        const groundTruth = groundTruthCounts[className] || 0;
+        const ofClass = run => run.scored.filter(detection => detection.class === className);
+        const ap = groundTruth > 0
+            ? runs.reduce((sum, run) => sum + averagePrecision(ofClass(run), groundTruth), 0) / runs.length
+            : null;
+        return { class: className, groundTruth, ap, ...countAt(ofClass(runs[0]), groundTruth, minScore) };
+    });
+    
+    const withGroundTruth = classes.filter(entry => entry.ap !== null);
+    const totalGroundTruth = withGroundTruth.reduce((sum, entry) => sum + entry.groundTruth, 0);
+    
+    return {
+        classes,
+        map: withGroundTruth.length > 0
+            ? withGroundTruth.reduce((sum, entry) => sum + entry.ap, 0) / withGroundTruth.length
+            : 0,
+        ...countAt(scored, totalGroundTruth, minScore)
+    };
+}
+
+// Overall precision, recall and F1 at each confidence threshold
+function confidenceSweep(images, { iouThreshold = 0.5, thresholds } = {}) {
+    const { scored, groundTruthCounts } = scoreDetections(images, iouThreshold);
+    const total = Object.values(groundTruthCounts).reduce((sum, count) => sum + count, 0);
+    return thresholds.map(threshold => ({ threshold, ...countAt(scored, total, threshold) }));
+}
+
+// Counts of ground-truth class (rows) against detected class (columns) at
+// a confidence threshold. Detections first match boxes of their own class,
+// then boxes of other classes (confusions); the rest pair up with
+// 'background': missed boxes in its column, false alarms in its row.
+function confusionMatrix(images, { iouThreshold = 0.5, minScore = 0 } = {}) {
+    const counts = new Map();
+    const labels = new Set();
+    const add = (actual, predicted) => {
+        labels.add(actual);
+        labels.add(predicted);
+        const key = `${actual}\n${predicted}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    };
+    
+    images.forEach(({ groundTruth, detections }) => {
+        const taken = new Array(groundTruth.length).fill(false);
+        const confident = detections.filter(detection => detection.score >= minScore);
+        
+        const own = matchDetections(groundTruth, confident, iouThreshold, { taken });
+        const unmatched = own.sorted.filter((detection, index) => {
+            if (own.matches[index] < 0) return true;
+            add(detection.class, detection.class);
+            return false;
+        });
+        
+        const other = matchDetections(groundTruth, unmatched, iouThreshold, { sameClass: false, taken });
+        other.sorted.forEach((detection, index) => {
+            const match = other.matches[index];
+            add(match >= 0 ? groundTruth[match].class : 'background', detection.class);
+        });
+        
+        groundTruth.forEach((box, index) => {
+            if (!taken[index] && !box.ignore) add(box.class, 'background');
+        });
+    });
+    
+    labels.delete('background');
+    const sortedLabels = [...labels].sort().concat('background');
+    return {
+        labels: sortedLabels,
+        matrix: sortedLabels.map(actual => sortedLabels.map(predicted => counts.get(`${actual}\n${predicted}`) || 0))
+    };
+}
@@ -0,0 +1,173 @@
+// Custom TF.js graph models exported with the TensorFlow Object Detection API
+// Shared by the inference worker and the main-thread detector.
+
+// Parses a label map into { id: name }. Accepts the Object Detection API
+// .pbtxt format, a JSON object keyed by class id, or a JSON array / plain
+// text list (one label per line) where the first entry is class id 1.
+function parseLabelMap(text) {
+    const labelMap = {};
+    const trimmed = text.trim();
+    
+    if (/^item\s*\{/m.test(trimmed)) {
+        const itemPattern = /item\s*\{([^}]*)\}/g;
+        let match;
+        while ((match = itemPattern.exec(trimmed)) !== null) {
+            const id = /\bid\s*:\s*(\d+)/.exec(match[1]);
+            const name = /\bdisplay_name\s*:\s*["']([^"']*)["']/.exec(match[1]) ||
+                /\bname\s*:\s*["']([^"']*)["']/.exec(match[1]);
+            if (id && name) {
+                labelMap[id[1]] = name[1];
+            }
+        }
+    } else if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) {
+            parsed.forEach((name, index) => {
+                labelMap[index + 1] = String(name);
+            });
+        } else {
+            Object.entries(parsed).forEach(([id, name]) => {
+                labelMap[id] = String(name);
+            });
+        }
+    } else {
+        trimmed.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .forEach((name, index) => {
+                labelMap[index + 1] = name;
+            });
+    }
+    
+    if (Object.keys(labelMap).length === 0) {
+        throw new Error('Label map contains no labels');
+    }
+    return labelMap;
+}
+
+// Label names ordered by class id
+function labelMapToList(labelMap) {
+    return Object.keys(labelMap)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(id => labelMap[id]);
+}
+
+class GraphDetectionModel {
+    constructor(model, labelMap) {
+        this.model = model;
+        this.labelMap = labelMap;
+        
+        const input = model.inputs[0];
+        this.inputDtype = input.dtype === 'float32' ? 'float32' : 'int32';
+        
+        // Fixed-size inputs ([1, h, w, 3]) need resizing; -1 means any size
+        const [, height, width] = input.shape || [];
+        this.inputSize = height > 0 && width > 0 ? [height, width] : null;
+        
+        this.outputIndices = this.findOutputs(model.outputs.map(output => output.name));
+    }
+    
+    // `source` is a model.json URL or the model.json File plus its weight files
+    static async load(source, labelMap) {
+        const handler = typeof source === 'string' ? source : tf.io.browserFiles(source);
+        const model = await tf.loadGraphModel(handler);
+        return new GraphDetectionModel(model, labelMap);
+    }
+    
+    findOutputs(names) {
+        const find = key => names.findIndex(name => name.includes(key));
+        const indices = {
+            boxes: find('detection_boxes'),
+            scores: find('detection_scores'),
+            classes: find('detection_classes')
+        };
+        
+        if (Object.values(indices).some(index => index === -1)) {
+            throw new Error('Model must output detection_boxes, detection_scores and detection_classes ' +
+                '(TensorFlow Object Detection API export)');
+        }
+        return indices;
+    }
+    
+    async detect(input, maxBoxes = 100, minScore = 0.5) {
+        // Boxes are scaled to the pixels read, not the element's width and
+        // height attributes (0 on a <video>, the rendered size on an <img>)
+        let width = 0;
+        let height = 0;
+        const batched = tf.tidy(() => {
+            let image = tf.browser.fromPixels(input);
+            [height, width] = image.shape;
+            if (this.inputSize) {
+                image = tf.image.resizeBilinear(image, this.inputSize);
+            }
+            return image.expandDims(0).cast(this.inputDtype);
+        });
+        
+        let outputs = [];
+        
+        try {
+            outputs = await this.model.executeAsync(batched);
+            if (!Array.isArray(outputs)) {
+                outputs = [outputs];
+            }
+            
+            const [boxes, scores, classes] = await Promise.all([
+                outputs[this.outputIndices.boxes].data(),
+                outputs[this.outputIndices.scores].data(),
+                outputs[this.outputIndices.classes].data()
+            ]);
+            
+            const predictions = [];
+            for (let i = 0; i < scores.length && predictions.length < maxBoxes; i++) {
+                if (scores[i] < minScore) continue;
+                
+                // Boxes are normalized [ymin, xmin, ymax, xmax]
+                const [ymin, xmin, ymax, xmax] = boxes.slice(i * 4, i * 4 + 4);
+                const classId = Math.round(classes[i]);
+                predictions.push({
+                    bbox: [xmin * width, ymin * height, (xmax - xmin) * width, (ymax - ymin) * height],
+                    class: this.labelMap[classId] || `class ${classId}`,
+                    score: scores[i]
+                });
+            }
+            
+            return predictions.sort((a, b) => b.score - a.score);
+        } finally {
+            batched.dispose();
+            outputs.forEach(tensor => tensor.dispose());
+        }
+    }
+    
+    dispose() {
+        this.model.dispose();
+    }
+}
+
+// Switches TF.js to `backend`: 'webgl', 'wasm', 'cpu', or 'auto' for the
+// fastest one that initializes. The WASM backend ships separately and is
+// loaded with `loadScript` on first use. Resolves with the backend in use.
+async function useBackend(backend, wasm, loadScript) {
+    if (backend === 'wasm' && !tf.findBackendFactory('wasm')) {
+        await loadScript(wasm.script);
+        tf.wasm.setWasmPaths(wasm.path);
+    }
+    
+    const candidates = backend === 'auto' ? ['webgl', 'cpu'] : [backend];
+    for (const name of candidates) {
+        if (tf.getBackend() === name || await tf.setBackend(name)) {
+            await tf.ready();
+            return tf.getBackend();
+        }
+    }
+    throw new Error(`The ${backend} backend is not available on this device`);
+}
+
+// Loads the model described by a registry entry: COCO-SSD with a chosen
+// base network, or a custom graph model
+function loadDetectionModel(spec) {
+    if (spec.type === 'graph') {
+        return GraphDetectionModel.load(spec.files || spec.url, spec.labelMap);
+    }
+    return cocoSsd.load(spec.options);
+}
@@ -0,0 +1,101 @@
+// Session history page: lists past detection sessions and deletes them
+class SessionHistoryPage {
+    constructor() {
+        this.history = new SessionHistory();
+        this.sessions = [];
+        
+        this.summaryEl = document.getElementById('historySummary');
+        this.bodyEl = document.getElementById('historyBody');
+        this.clearButton = document.getElementById('clearHistory');
+        
+        this.bodyEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delete-session]');
+            if (button) {
+                this.deleteSession(button.dataset.deleteSession);
+            }
+        });
+        
+        this.clearButton.addEventListener('click', () => this.clearSessions());
+        
+        this.refresh();
+    }
+    
+    async refresh() {
+        try {
+            this.sessions = await this.history.list();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load session history:', error);
+            this.summaryEl.textContent = 'Failed to load session history: ' + error.message;
+        }
+    }
+    
+    async deleteSession(id) {
+        try {
+            await this.history.delete(id);
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.summaryEl.textContent = 'Failed to delete the session: ' + error.message;
+            return;
+        }
+        await this.refresh();
+    }
+    
+    async clearSessions() {
+        if (!confirm(`Delete all ${this.sessions.length} sessions?`)) return;
+        
+        try {
+            await this.history.clear();
+        } catch (error) {
+            console.error('Failed to clear session history:', error);
+            this.summaryEl.textContent = 'Failed to clear session history: ' + error.message;
+            return;
+        }
+        await this.refresh();
+    }
+    
+    render() {
+        const count = this.sessions.length;
+        this.summaryEl.textContent = count === 0
+            ? 'No sessions recorded yet. Sessions are saved while detection is running.'
+            : `${count} session${count === 1 ? '' : 's'}`;
+        this.clearButton.disabled = count === 0;
+        
+        let html = '';
+        this.sessions.forEach(session => {
+            const classes = Object.entries(session.classTotals)
+                .sort((a, b) => b[1] - a[1])
+                .map(([className, total]) =>
+                    `${escapeHTML(className)} ${total} / ${session.peakCounts[className] || 0}`
+                )
+                .join(', ');
+            
+            html += `
+                <tr>
+                    <td>${new Date(session.startedAt).toLocaleString()}</td>
+                    <td>${formatDuration(session.endedAt - session.startedAt)}</td>
+                    <td class="batch-file">${escapeHTML(session.source)}</td>
+                    <td class="batch-file">${escapeHTML(session.model)}</td>
+                    <td>${session.uniqueObjects}</td>
+                    <td>${session.peakTotal}</td>
+                    <td>${classes || '—'}</td>
+                    <td>
+                        <button class="btn btn--sm btn--outline" data-delete-session="${escapeHTML(session.id)}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        });
+        
+        this.bodyEl.innerHTML = html;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!SessionHistory.isSupported()) {
+        document.getElementById('historySummary').textContent =
+            'Session history needs IndexedDB, which this browser does not provide.';
+        return;
+    }
+    
+    new SessionHistoryPage();
+});
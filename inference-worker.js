@@ -0,0 +1,68 @@
+// Inference worker
+// Loads TensorFlow.js and the detection model off the main thread and runs
+// detection on ImageBitmaps transferred from the page.
+let model = null;
+let canvas = null;
+let ctx = null;
+
+// Requests are handled one at a time so a model switch never disposes the
+// model while a detection is still running on it
+let queue = Promise.resolve();
+
+self.addEventListener('message', (e) => {
+    queue = queue.then(() => handleMessage(e.data));
+});
+
+async function handleMessage(message) {
+    try {
+        let result;
+        if (message.type === 'load') {
+            result = await loadModel(message);
+        } else if (message.type === 'detect') {
+            result = await detect(message);
+        } else if (message.type === 'memory') {
+            result = tf.memory();
+        } else {
+            throw new Error(`Unknown request: ${message.type}`);
+        }
+        
+        self.postMessage({ type: 'result', id: message.id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+}
+
+async function loadModel({ libraries, backend, wasm, spec }) {
+    if (typeof tf === 'undefined') {
+        importScripts(...libraries, 'graph-model.js');
+    }
+    
+    if (model) {
+        model.dispose();
+        model = null;
+    }
+    
+    await useBackend(backend, wasm, url => importScripts(url));
+    model = await loadDetectionModel(spec);
+    return { backend: tf.getBackend() };
+}
+
+async function detect({ bitmap, maxBoxes, minScore }) {
+    if (!model) {
+        bitmap.close();
+        throw new Error('Model not loaded');
+    }
+    
+    // Frames are drawn onto an OffscreenCanvas and read back as ImageData,
+    // which every TF.js backend accepts as input
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return model.detect(imageData, maxBoxes, minScore);
+}
@@ -0,0 +1,63 @@
+// Model registry
+// Entries describe how to load a model and which labels it predicts; they
+// are plain data so they can be posted to the inference worker.
+
+const COCO_CLASSES = ["person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat", "traffic light", "fire hydrant", "stop sign", "parking meter", "bench", "bird", "cat", "dog", "horse", "sheep", "cow", "elephant", "bear", "zebra", "giraffe", "backpack", "umbrella", "handbag", "tie", "suitcase", "frisbee", "skis", "snowboard", "sports ball", "kite", "baseball bat", "baseball glove", "skateboard", "surfboard", "tennis racket", "bottle", "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple", "sandwich", "orange", "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "chair", "couch", "potted plant", "bed", "dining table", "toilet", "tv", "laptop", "mouse", "remote", "keyboard", "cell phone", "microwave", "oven", "toaster", "sink", "refrigerator", "book", "clock", "vase", "scissors", "teddy bear", "hair drier", "toothbrush"];
+
+class ModelRegistry {
+    constructor() {
+        this.models = new Map();
+        this.nextCustomId = 1;
+        
+        this.register({
+            id: 'coco-ssd-lite',
+            name: 'COCO-SSD Lite (lite_mobilenet_v2)',
+            type: 'coco-ssd',
+            options: { base: 'lite_mobilenet_v2', modelUrl: cocoSsdModelUrl('lite_mobilenet_v2') },
+            labels: COCO_CLASSES
+        });
+        
+        this.register({
+            id: 'coco-ssd-mobilenet',
+            name: 'COCO-SSD (mobilenet_v2)',
+            type: 'coco-ssd',
+            options: { base: 'mobilenet_v2', modelUrl: cocoSsdModelUrl('mobilenet_v2') },
+            labels: COCO_CLASSES
+        });
+    }
+    
+    get defaultId() {
+        return 'coco-ssd-lite';
+    }
+    
+    register(entry) {
+        this.models.set(entry.id, entry);
+        return entry;
+    }
+    
+    get(id) {
+        return this.models.get(id);
+    }
+    
+    list() {
+        return Array.from(this.models.values());
+    }
+    
+    // Custom graph model from a model.json URL or from local files
+    // (model.json plus its .bin weight shards)
+    registerCustom({ name, url, files, labelMap }) {
+        const id = `custom-${this.nextCustomId++}`;
+        return this.register({
+            id,
+            name: `Custom: ${name}`,
+            type: 'graph',
+            url,
+            files,
+            labelMap,
+            labels: labelMapToList(labelMap),
+            
+            // Custom models can be large and are usually served from disk
+            loadTimeout: 120000
+        });
+    }
+}
@@ -0,0 +1,283 @@
+// <object-detector> custom element
+// Self-contained detection widget for other pages: shows an image, a video
+// or the camera with the detection overlay, all inside a shadow root.
+//
+//   <object-detector src="street.mp4" threshold="0.6" classes="person, car" autostart></object-detector>
+//
+// Attributes:
+//   src            - image or video URL; without it the camera is used
+//   threshold      - confidence threshold (default 0.5)
+//   classes        - comma-separated classes to report (default all)
+//   max-detections - max boxes per frame (default 20)
+//   model          - model registry ID (default COCO-SSD Lite)
+//   autostart      - start detecting once connected
+//
+// The core's detection, alert, error and modelstatus events are dispatched
+// on the element as CustomEvents with the payload in `detail`. The
+// ObjectDetector itself is available as `element.detector`.
+
+const OBJECT_DETECTOR_STYLE = `
+    :host {
+        display: inline-block;
+        position: relative;
+        background: #000000;
+        line-height: 0;
+    }
+    img, video {
+        display: block;
+        width: 100%;
+        height: auto;
+    }
+    canvas {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+    }
+    .status {
+        position: absolute;
+        left: 8px;
+        bottom: 8px;
+        padding: 2px 8px;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.6);
+        color: #ffffff;
+        font: 12px/18px Arial, sans-serif;
+    }
+    .status:empty {
+        display: none;
+    }
+`;
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogv|mov|m4v)(\?|#|$)/i;
+
+class ObjectDetectorElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'threshold', 'classes', 'max-detections', 'model'];
+    }
+    
+    constructor() {
+        super();
+        this.detector = null;
+        this.media = null;
+        this.stream = null;
+        this.detections = [];
+        
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${OBJECT_DETECTOR_STYLE}</style><canvas></canvas><div class="status"></div>`;
+        this.canvas = this.shadowRoot.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.statusEl = this.shadowRoot.querySelector('.status');
+    }
+    
+    connectedCallback() {
+        if (!this.detector) {
+            this.detector = new ObjectDetector(this.detectorOptions());
+            ['detection', 'alert', 'error', 'modelstatus'].forEach(type => {
+                this.detector.on(type, detail => {
+                    this.dispatchEvent(new CustomEvent(type, { detail }));
+                });
+            });
+            this.detector.on('detection', ({ detections }) => this.draw(detections));
+            this.detector.on('modelstatus', status => this.showModelStatus(status));
+        }
+        
+        if (!this.media) {
+            this.setMedia();
+        }
+        
+        // Failures reach the page as error events
+        const loading = this.detector.modelLoaded ? Promise.resolve() : this.detector.load(this.modelId);
+        loading.then(() => {
+            if (this.hasAttribute('autostart') && this.isConnected) {
+                this.start().catch(() => {});
+            }
+        }, () => {});
+    }
+    
+    disconnectedCallback() {
+        this.stop();
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.detector || oldValue === newValue) return;
+        
+        if (name === 'src') {
+            const wasRunning = this.detector.running;
+            this.stop();
+            this.setMedia();
+            if (wasRunning) {
+                this.start().catch(() => {});
+            }
+        } else if (name === 'model') {
+            this.detector.load(this.modelId).catch(() => {});
+        } else {
+            this.detector.configure(this.detectorOptions());
+        }
+    }
+    
+    get modelId() {
+        return this.getAttribute('model') || undefined;
+    }
+    
+    detectorOptions() {
+        const threshold = parseFloat(this.getAttribute('threshold'));
+        const maxDetections = parseInt(this.getAttribute('max-detections'), 10);
+        const classes = (this.getAttribute('classes') || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        
+        return {
+            threshold: threshold >= 0 && threshold <= 1 ? threshold : 0.5,
+            maxDetections: maxDetections > 0 ? maxDetections : 20,
+            classes: classes.length > 0 ? classes : null
+        };
+    }
+    
+    // Replaces the shown element with an image or video for `src`, or a
+    // video for the camera
+    setMedia() {
+        if (this.media) {
+            this.media.remove();
+        }
+        
+        const src = this.getAttribute('src');
+        if (src && !VIDEO_EXTENSIONS.test(src)) {
+            this.media = document.createElement('img');
+            this.media.crossOrigin = 'anonymous';
+        } else {
+            this.media = document.createElement('video');
+            this.media.muted = true;
+            this.media.playsInline = true;
+            this.media.loop = true;
+            if (src) {
+                this.media.crossOrigin = 'anonymous';
+            }
+        }
+        
+        if (src) {
+            this.media.src = src;
+        }
+        this.shadowRoot.insertBefore(this.media, this.canvas);
+        this.detector.reset();
+        this.draw([]);
+    }
+    
+    // Detects once on an image, continuously on a video or the camera.
+    // Rejects (and dispatches an error event) when the media can't be shown.
+    async start() {
+        const media = this.media;
+        try {
+            await this.prepareMedia(media);
+        } catch (error) {
+            this.reportError(error);
+            throw error;
+        }
+        
+        if (media.tagName === 'IMG') {
+            return this.detect();
+        }
+        
+        // The element may have been removed or changed while waiting
+        if (this.media === media && this.isConnected) {
+            this.detector.start(media);
+        }
+    }
+    
+    async prepareMedia(media) {
+        if (media.tagName === 'IMG') {
+            if (!media.complete || media.naturalWidth === 0) {
+                await waitForMediaEvent(media, 'load');
+            }
+            return;
+        }
+        
+        if (!this.getAttribute('src') && !this.stream) {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Camera access is not supported by this browser');
+            }
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+            media.srcObject = this.stream;
+        }
+        
+        if (media.readyState < 2) {
+            await waitForMediaEvent(media, 'loadeddata');
+        }
+        await media.play();
+    }
+    
+    stop() {
+        if (this.detector) {
+            this.detector.stop();
+        }
+        if (this.media && this.media.tagName === 'VIDEO') {
+            this.media.pause();
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this.media.srcObject = null;
+        }
+    }
+    
+    // Detects on `source` (default: the shown image or video frame) and
+    // resolves to the frame result
+    detect(source = this.media) {
+        return this.detector.detect(source);
+    }
+    
+    draw(detections) {
+        this.detections = detections;
+        const { width, height } = elementSize(this.media);
+        if (!width || !height) return;
+        
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        
+        const ctx = this.ctx;
+        const lineWidth = Math.max(2, Math.round(width / 320));
+        const fontSize = Math.max(12, Math.round(width / 40));
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = lineWidth;
+        ctx.font = `${fontSize}px Arial, sans-serif`;
+        
+        detections.forEach(detection => {
+            const [x, y, boxWidth, boxHeight] = detection.bbox;
+            const label = `${detection.class} (${Math.round(detection.score * 100)}%)`;
+            const labelHeight = fontSize + 6;
+            const labelY = y >= labelHeight ? y - labelHeight : y;
+            
+            ctx.strokeStyle = detection.color;
+            ctx.strokeRect(x, y, boxWidth, boxHeight);
+            ctx.fillStyle = detection.color;
+            ctx.fillRect(x, labelY, ctx.measureText(label).width + 12, labelHeight);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(label, x + 6, labelY + fontSize);
+        });
+    }
+    
+    showModelStatus({ status, progress }) {
+        if (status === 'downloading') {
+            this.statusEl.textContent = `Downloading model ${Math.round(progress * 100)}%`;
+        } else if (status === 'loading') {
+            this.statusEl.textContent = 'Loading model...';
+        } else if (status === 'error') {
+            this.statusEl.textContent = 'Model failed to load';
+        } else {
+            this.statusEl.textContent = '';
+        }
+    }
+    
+    reportError(error) {
+        console.error('object-detector:', error);
+        this.dispatchEvent(new CustomEvent('error', { detail: error }));
+    }
+}
+
+if (!customElements.get('object-detector')) {
+    customElements.define('object-detector', ObjectDetectorElement);
+}
@@ -0,0 +1,67 @@
+// Performance governor
+// Caps how often inference runs and, when detection takes longer than the
+// frame budget, scales the model input down (and back up once there is
+// headroom again).
+class PerformanceGovernor {
+    constructor(options = {}) {
+        // Inferences per second; 0 runs inference whenever the model is idle
+        this.maxInferenceRate = options.maxInferenceRate || 0;
+        this.autoScale = options.autoScale || false;
+        
+        // Budget when the rate is unlimited (~15 inferences per second)
+        this.defaultTargetTime = options.defaultTargetTime || 66;
+        
+        this.minScale = options.minScale || 0.25;
+        this.scaleStep = options.scaleStep || 0.8;
+        
+        // Time to wait after a change so the average reflects the new scale
+        this.adjustInterval = options.adjustInterval || 2000;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.scale = 1;
+        this.averageTime = null;
+        this.lastStart = 0;
+        this.lastAdjust = 0;
+    }
+    
+    // Detection time to stay under, in ms
+    get targetTime() {
+        return this.maxInferenceRate > 0 ? 1000 / this.maxInferenceRate : this.defaultTargetTime;
+    }
+    
+    configure({ maxInferenceRate, autoScale }) {
+        this.maxInferenceRate = maxInferenceRate;
+        this.autoScale = autoScale;
+        if (!autoScale) {
+            this.scale = 1;
+        }
+    }
+    
+    // Whether a new inference may start; starts are spaced by the max rate
+    shouldRun(now = Date.now()) {
+        if (this.maxInferenceRate > 0 && now - this.lastStart < 1000 / this.maxInferenceRate) {
+            return false;
+        }
+        this.lastStart = now;
+        return true;
+    }
+    
+    recordDetection(detectionTime, now = Date.now()) {
+        this.averageTime = this.averageTime === null
+            ? detectionTime
+            : this.averageTime * 0.8 + detectionTime * 0.2;
+        
+        if (!this.autoScale || now - this.lastAdjust < this.adjustInterval) return;
+        
+        if (this.averageTime > this.targetTime * 1.2 && this.scale > this.minScale) {
+            this.scale = Math.max(this.minScale, this.scale * this.scaleStep);
+            this.lastAdjust = now;
+        } else if (this.averageTime < this.targetTime * 0.5 && this.scale < 1) {
+            this.scale = Math.min(1, this.scale / this.scaleStep);
+            this.lastAdjust = now;
+        }
+    }
+}
@@ -0,0 +1,214 @@
+// Detection session recorder and export formats
+// Every processed frame is logged; a JPEG of the frame is captured at most
+// once per `captureInterval` so COCO exports have images to reference.
+// Long sessions are bounded: recording stops after `maxFrames` frames and
+// no more JPEGs are kept after `maxCaptures`.
+class SessionRecorder {
+    constructor(options = {}) {
+        this.captureInterval = options.captureInterval ?? 1000;
+        this.maxFrames = options.maxFrames ?? 100000;
+        this.maxCaptures = options.maxCaptures ?? 600;
+        this.isRecording = false;
+        this.reset();
+    }
+    
+    reset() {
+        this.frames = [];
+        this.captures = new Map();
+        this.startedAt = null;
+        this.stoppedAt = null;
+        this.lastCaptureTime = -Infinity;
+        this.limitReached = false;
+    }
+    
+    start(now = Date.now()) {
+        this.reset();
+        this.startedAt = now;
+        this.isRecording = true;
+    }
+    
+    stop(now = Date.now()) {
+        this.stoppedAt = now;
+        this.isRecording = false;
+    }
+    
+    get duration() {
+        if (this.startedAt === null) return 0;
+        return (this.isRecording ? Date.now() : this.stoppedAt) - this.startedAt;
+    }
+    
+    // Whether a frame at `timestamp` would have its JPEG captured
+    captureDue(timestamp = Date.now()) {
+        return this.isRecording && this.captures.size < this.maxCaptures &&
+            timestamp - this.lastCaptureTime >= this.captureInterval;
+    }
+    
+    // `captureFrame` returns a promise of a JPEG blob of the recorded frame;
+    // it is only called when a capture is due
+    record({ timestamp = Date.now(), detections, width, height, source, captureFrame }) {
+        if (!this.isRecording) return;
+        
+        if (this.frames.length >= this.maxFrames) {
+            this.stop(timestamp);
+            this.limitReached = true;
+            return;
+        }
+        
+        const index = this.frames.length + 1;
+        let image = null;
+        
+        if (captureFrame && this.captureDue(timestamp)) {
+            image = `frame_${String(index).padStart(6, '0')}.jpg`;
+            this.captures.set(image, captureFrame());
+            this.lastCaptureTime = timestamp;
+        }
+        
+        this.frames.push({
+            frame: index,
+            timestamp,
+            elapsed: timestamp - this.startedAt,
+            source,
+            width,
+            height,
+            image,
+            detections: detections.map(detection => ({
+                trackId: detection.trackId,
+                class: detection.class,
+                score: roundTo(detection.score, 4),
+                bbox: detection.bbox.map(value => roundTo(value, 2))
+            }))
+        });
+    }
+    
+    toJSONLines() {
+        return this.frames.map(frame => JSON.stringify(frame)).join('\n') + '\n';
+    }
+    
+    toCSV() {
+        const header = ['frame', 'timestamp', 'elapsed_ms', 'source', 'width', 'height',
+            'track_id', 'class', 'score', 'x', 'y', 'bbox_width', 'bbox_height'];
+        const rows = [header];
+        
+        this.frames.forEach(frame => {
+            const timestamp = new Date(frame.timestamp).toISOString();
+            frame.detections.forEach(detection => {
+                rows.push([
+                    frame.frame, timestamp, frame.elapsed, frame.source, frame.width, frame.height,
+                    detection.trackId, detection.class, detection.score, ...detection.bbox
+                ]);
+            });
+        });
+        
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+    
+    // Zip of annotations.json plus the captured frames under images/
+    async toCocoArchive(labels) {
+        const capturedFrames = this.frames.filter(frame => frame.image);
+        const zip = new ZipWriter();
+        
+        const images = [];
+        for (const frame of capturedFrames) {
+            const blob = await this.captures.get(frame.image);
+            if (!blob) continue;
+            
+            await zip.add(`images/${frame.image}`, blob);
+            images.push({
+                fileName: frame.image,
+                width: frame.width,
+                height: frame.height,
+                dateCaptured: new Date(frame.timestamp).toISOString(),
+                annotations: frame.detections
+            });
+        }
+        
+        const dataset = buildCocoDataset(images, labels, {
+            description: `Detection session ${new Date(this.startedAt).toISOString()}`
+        });
+        await zip.add('annotations.json', JSON.stringify(dataset, null, 2));
+        
+        return zip.toBlob();
+    }
+}
+
+// COCO object detection format. `images` carry their own annotations as
+// { class, bbox: [x, y, width, height], score?, trackId? }; categories are
+// numbered from 1 in label order.
+function buildCocoDataset(images, labels, info = {}) {
+    const categories = labels.map((name, index) => ({ id: index + 1, name, supercategory: 'object' }));
+    const categoryIds = new Map(categories.map(category => [category.name, category.id]));
+    const annotations = [];
+    
+    const cocoImages = images.map((image, index) => {
+        const imageId = index + 1;
+        
+        image.annotations.forEach(annotation => {
+            if (!categoryIds.has(annotation.class)) return;
+            
+            const [x, y, width, height] = annotation.bbox;
+            const entry = {
+                id: annotations.length + 1,
+                image_id: imageId,
+                category_id: categoryIds.get(annotation.class),
+                bbox: [x, y, width, height],
+                area: roundTo(width * height, 2),
+                iscrowd: 0
+            };
+            if (annotation.score !== undefined) {
+                entry.score = annotation.score;
+            }
+            if (annotation.trackId !== undefined) {
+                entry.track_id = annotation.trackId;
+            }
+            annotations.push(entry);
+        });
+        
+        return {
+            id: imageId,
+            file_name: image.fileName,
+            width: image.width,
+            height: image.height,
+            date_captured: image.dateCaptured
+        };
+    });
+    
+    return {
+        info: {
+            description: info.description || 'Object detection dataset',
+            date_created: new Date().toISOString()
+        },
+        images: cocoImages,
+        annotations,
+        categories
+    };
+}
+
+// YOLO labels for one image: a "class x_center y_center width height" line
+// per box, normalized to the image size, with the class as its index in
+// `labels`. Boxes of classes not in `labels` are left out.
+function buildYoloLabels(annotations, width, height, labels) {
+    return annotations
+        .filter(annotation => labels.includes(annotation.class))
+        .map(annotation => {
+            const [x, y, w, h] = annotation.bbox;
+            const values = [(x + w / 2) / width, (y + h / 2) / height, w / width, h / height];
+            return `${labels.indexOf(annotation.class)} ${values.map(value => value.toFixed(6)).join(' ')}\n`;
+        })
+        .join('');
+}
+
+// data.yaml of a YOLO dataset whose images/ and labels/ sit next to it
+function buildYoloDataConfig(labels) {
+    const names = labels.map((name, index) => `  ${index}: ${JSON.stringify(name)}`).join('\n');
+    return `path: .\ntrain: images\nval: images\nnames:\n${names}\n`;
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
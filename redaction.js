@@ -0,0 +1,53 @@
+// Privacy redaction
+// Covers boxes with a pixelated, blurred or blacked-out copy of the frame
+// underneath. Boxes are padded since on live video they trail moving
+// objects by up to one inference.
+class FrameRedactor {
+    constructor(options = {}) {
+        // 'pixelate' | 'blur' | 'blackout'
+        this.mode = options.mode || 'pixelate';
+        
+        // Extra margin on every side, as a fraction of the box size
+        this.padding = options.padding ?? 0.1;
+        
+        this.scratch = document.createElement('canvas');
+        this.scratchCtx = this.scratch.getContext('2d');
+    }
+    
+    // Redacts `bboxes` (in frame pixels) on `ctx`, which shows `frame` at
+    // width × height
+    redact(ctx, frame, bboxes, width, height) {
+        bboxes.forEach(bbox => {
+            const [x, y, w, h] = this.paddedBox(bbox, width, height);
+            if (w < 1 || h < 1) return;
+            
+            if (this.mode === 'blackout') {
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(x, y, w, h);
+                return;
+            }
+            
+            // Shrink the region to a few blocks across and scale it back up:
+            // hard edges pixelate, smoothing gives a heavy blur
+            const blocks = this.mode === 'blur' ? 6 : 12;
+            const scale = blocks / Math.max(w, h);
+            this.scratch.width = Math.max(1, Math.round(w * scale));
+            this.scratch.height = Math.max(1, Math.round(h * scale));
+            this.scratchCtx.imageSmoothingEnabled = true;
+            this.scratchCtx.drawImage(frame, x, y, w, h, 0, 0, this.scratch.width, this.scratch.height);
+            
+            ctx.save();
+            ctx.imageSmoothingEnabled = this.mode === 'blur';
+            ctx.drawImage(this.scratch, 0, 0, this.scratch.width, this.scratch.height, x, y, w, h);
+            ctx.restore();
+        });
+    }
+    
+    paddedBox([x, y, w, h], width, height) {
+        const left = Math.max(0, Math.floor(x - w * this.padding));
+        const top = Math.max(0, Math.floor(y - h * this.padding));
+        const right = Math.min(width, Math.ceil(x + w * (1 + this.padding)));
+        const bottom = Math.min(height, Math.ceil(y + h * (1 + this.padding)));
+        return [left, top, right - left, bottom - top];
+    }
+}
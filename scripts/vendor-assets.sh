@@ -0,0 +1,41 @@
+#!/bin/sh
+# Copies TensorFlow.js, COCO-SSD and the COCO-SSD weights into a local folder
+# so the app can run without internet access. Run it on a machine that is
+# online, copy the folder next to index.html and set assetPath in config.js.
+#
+#   scripts/vendor-assets.sh [destination]    (default: vendor)
+set -eu
+
+DEST="${1:-vendor}"
+TFJS_URL="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js"
+COCO_SSD_URL="https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js"
+WASM_URL="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.10.0/dist"
+WASM_FILES="tf-backend-wasm.min.js tfjs-backend-wasm.wasm tfjs-backend-wasm-simd.wasm tfjs-backend-wasm-threaded-simd.wasm"
+MODELS_URL="https://storage.googleapis.com/tfjs-models/savedmodel"
+MODELS="ssdlite_mobilenet_v2 ssd_mobilenet_v2"
+
+download() {
+    echo "Downloading $1"
+    curl -fsSL --retry 3 -o "$2" "$1"
+}
+
+mkdir -p "$DEST/tfjs" "$DEST/coco-ssd" "$DEST/tfjs-backend-wasm"
+download "$TFJS_URL" "$DEST/tfjs/tf.min.js"
+download "$COCO_SSD_URL" "$DEST/coco-ssd/coco-ssd.min.js"
+for file in $WASM_FILES; do
+    download "$WASM_URL/$file" "$DEST/tfjs-backend-wasm/$file"
+done
+
+for model in $MODELS; do
+    mkdir -p "$DEST/models/$model"
+    download "$MODELS_URL/$model/model.json" "$DEST/models/$model/model.json"
+    
+    # Weight shards are listed under "paths" in the model's weightsManifest
+    shards=$(tr -d '\n' < "$DEST/models/$model/model.json" |
+        grep -o '"paths": *\[[^]]*\]' | grep -o '"[^"]*"' | grep -v '"paths"' | tr -d '"')
+    for shard in $shards; do
+        download "$MODELS_URL/$model/$shard" "$DEST/models/$model/$shard"
+    done
+done
+
+echo "Assets saved to $DEST/. Set assetPath: '$DEST/' in config.js."
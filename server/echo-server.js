@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Minimal local endpoint for testing detection streaming
+// Accepts WebSocket connections on any path and webhook POSTs, logs a
+// summary of every batch and echoes it back. Uses only Node built-ins.
+//
+//   node server/echo-server.js [port]
+//
+// Then stream to ws://localhost:8787 or http://localhost:8787/webhook.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function logBatch(origin, text) {
+    try {
+        const { messages = [] } = JSON.parse(text);
+        const types = {};
+        messages.forEach(message => {
+            types[message.type] = (types[message.type] || 0) + 1;
+        });
+        const summary = Object.entries(types).map(([type, count]) => `${count} ${type}`).join(', ');
+        console.log(`${new Date().toISOString()} ${origin}: ${summary || 'empty batch'}`);
+    } catch (error) {
+        console.log(`${new Date().toISOString()} ${origin}: ${text.length} bytes (not JSON)`);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    // The app is usually served from another port
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    
+    if (req.method !== 'POST') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`POST detections to http://localhost:${PORT}/webhook or connect to ws://localhost:${PORT}\n`);
+        return;
+    }
+    
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        logBatch(`POST ${req.url}`, text);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(text);
+    });
+});
+
+// WebSocket handshake (RFC 6455)
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    const origin = `ws ${req.socket.remoteAddress}:${req.socket.remotePort}`;
+    console.log(`${new Date().toISOString()} ${origin}: connected`);
+    
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        
+        let frame;
+        while ((frame = readFrame(buffer))) {
+            buffer = buffer.subarray(frame.length);
+            
+            if (frame.opcode === 0x8) {
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                return;
+            }
+            if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xA, frame.payload));
+                continue;
+            }
+            if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    logBatch(origin, text);
+                    socket.write(encodeFrame(0x1, Buffer.from(text, 'utf8')));
+                }
+            }
+        }
+    });
+    socket.on('close', () => console.log(`${new Date().toISOString()} ${origin}: disconnected`));
+    socket.on('error', error => console.error(`${origin}: ${error.message}`));
+});
+
+// Parses one (masked, client-to-server) frame from the start of `buffer`;
+// null until the whole frame has arrived
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+    
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    
+    return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+// Unmasked server-to-client frame
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+server.listen(PORT, () => {
+    console.log(`Echo server listening on http://localhost:${PORT} (webhook) and ws://localhost:${PORT} (WebSocket)`);
+});
@@ -0,0 +1,114 @@
+// Detection session history stored in IndexedDB
+// A session runs from Start Detection to Stop Detection and records class
+// totals (unique tracks per class) and peak simultaneous counts.
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class SessionHistory {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'objectDetection';
+        this.storeName = options.storeName || 'sessions';
+        this.dbPromise = null;
+    }
+    
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('startedAt', 'startedAt');
+            };
+            this.dbPromise = requestToPromise(request);
+        }
+        return this.dbPromise;
+    }
+    
+    async transaction(mode, operation) {
+        const db = await this.open();
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+        return requestToPromise(operation(store));
+    }
+    
+    // Inserts or updates a session record (keyed by its id)
+    save(record) {
+        return this.transaction('readwrite', store => store.put(record));
+    }
+    
+    // Newest first
+    async list() {
+        const records = await this.transaction('readonly', store => store.getAll());
+        return records.sort((a, b) => b.startedAt - a.startedAt);
+    }
+    
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+    
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+class SessionSummary {
+    constructor({ source, model }, now = Date.now()) {
+        this.id = `session-${now}`;
+        this.startedAt = now;
+        this.endedAt = now;
+        this.source = source;
+        this.model = model;
+        this.frames = 0;
+        this.classTotals = {};
+        this.peakCounts = {};
+        this.peakTotal = 0;
+        this.seenTracks = new Set();
+    }
+    
+    update(detections, now = Date.now()) {
+        this.frames++;
+        this.endedAt = now;
+        this.peakTotal = Math.max(this.peakTotal, detections.length);
+        
+        const counts = {};
+        detections.forEach(detection => {
+            counts[detection.class] = (counts[detection.class] || 0) + 1;
+            
+            if (!this.seenTracks.has(detection.trackId)) {
+                this.seenTracks.add(detection.trackId);
+                this.classTotals[detection.class] = (this.classTotals[detection.class] || 0) + 1;
+            }
+        });
+        
+        Object.entries(counts).forEach(([className, count]) => {
+            this.peakCounts[className] = Math.max(this.peakCounts[className] || 0, count);
+        });
+    }
+    
+    // Called when the tracker restarts its IDs, so reused IDs count as new
+    forgetTracks() {
+        this.seenTracks.clear();
+    }
+    
+    toRecord() {
+        return {
+            id: this.id,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            source: this.source,
+            model: this.model,
+            frames: this.frames,
+            uniqueObjects: Object.values(this.classTotals).reduce((sum, count) => sum + count, 0),
+            classTotals: { ...this.classTotals },
+            peakCounts: { ...this.peakCounts },
+            peakTotal: this.peakTotal
+        };
+    }
+}
@@ -0,0 +1,136 @@
+// Temporal smoothing of tracked detections
+// Runs between the tracker and drawing. Tracks are held back until they are
+// confirmed (enough frames at the appear threshold), and the boxes of
+// confirmed tracks are smoothed with an exponential moving average or a
+// constant-velocity Kalman filter. With every stage off detections pass
+// through unchanged.
+class DetectionSmoother {
+    constructor(options = {}) {
+        this.configure({
+            mode: 'off',
+            strength: 0.5,
+            hysteresis: false,
+            confirmFrames: 1,
+            ...options
+        });
+        this.reset();
+    }
+    
+    // mode: 'off' | 'ema' | 'kalman'; strength: 0 (raw) to 1 (heaviest)
+    configure(options) {
+        Object.assign(this, options);
+    }
+    
+    reset() {
+        this.states = new Map();
+        this.confirmedTotal = 0;
+    }
+    
+    // `appearThreshold(detection)` is the score a new track must reach; with
+    // hysteresis off every detection is taken to reach it, since the caller
+    // already dropped those below the threshold. Frames that aren't part of
+    // a live sequence (single images, seeking) are confirmed and drawn as
+    // they are.
+    process(detections, appearThreshold, { now = Date.now(), live = true } = {}) {
+        const results = [];
+        
+        detections.forEach(detection => {
+            let state = this.states.get(detection.trackId);
+            if (!state) {
+                state = { confirmed: false, streak: 0, filter: null };
+                this.states.set(detection.trackId, state);
+            }
+            
+            if (!state.confirmed) {
+                const appears = !this.hysteresis || detection.score >= appearThreshold(detection);
+                state.streak = appears ? state.streak + 1 : 0;
+                if (state.streak >= (live ? this.confirmFrames : 1)) {
+                    state.confirmed = true;
+                    this.confirmedTotal++;
+                }
+            }
+            
+            const bbox = live ? this.smooth(state, detection.bbox, now) : detection.bbox;
+            if (state.confirmed) {
+                results.push({ ...detection, bbox, rawBbox: detection.bbox });
+            }
+        });
+        
+        return results;
+    }
+    
+    smooth(state, bbox, now) {
+        if (this.mode === 'off') {
+            state.filter = null;
+            return bbox;
+        }
+        
+        if (!state.filter || state.filter.mode !== this.mode) {
+            state.filter = this.mode === 'kalman' ? new KalmanBoxFilter(bbox, now) : { mode: 'ema', bbox };
+            return bbox;
+        }
+        
+        if (this.mode === 'kalman') {
+            return state.filter.update(bbox, now, this.strength);
+        }
+        
+        // Weight of the newest box falls as strength rises
+        const alpha = 1 - Math.min(0.95, this.strength);
+        state.filter.bbox = state.filter.bbox.map((value, index) => value + alpha * (bbox[index] - value));
+        return state.filter.bbox;
+    }
+    
+    // Called when the tracker drops a track. Returns whether the track was
+    // ever shown.
+    trackEnded(track) {
+        const state = this.states.get(track.id);
+        this.states.delete(track.id);
+        return Boolean(state && state.confirmed);
+    }
+}
+
+// Independent constant-velocity Kalman filters for x, y, width and height
+class KalmanBoxFilter {
+    constructor(bbox, now) {
+        this.mode = 'kalman';
+        this.time = now;
+        this.axes = bbox.map(value => ({
+            position: value,
+            velocity: 0,
+            // Covariance [[p00, p01], [p01, p11]]; velocity starts unknown
+            p00: 10,
+            p01: 0,
+            p11: 1000
+        }));
+    }
+    
+    // Higher strength trusts measurements less relative to the motion model
+    update(bbox, now, strength) {
+        const dt = Math.max(0.001, (now - this.time) / 1000);
+        this.time = now;
+        
+        const measurementNoise = 1 + 400 * strength * strength;
+        const processNoise = 500;
+        
+        return this.axes.map((axis, index) => {
+            // Predict
+            axis.position += axis.velocity * dt;
+            const p00 = axis.p00 + dt * (2 * axis.p01 + dt * axis.p11) + processNoise * dt ** 4 / 4;
+            const p01 = axis.p01 + dt * axis.p11 + processNoise * dt ** 3 / 2;
+            const p11 = axis.p11 + processNoise * dt * dt;
+            
+            // Correct with the measured coordinate
+            const residual = bbox[index] - axis.position;
+            const s = p00 + measurementNoise;
+            const k0 = p00 / s;
+            const k1 = p01 / s;
+            axis.position += k0 * residual;
+            axis.velocity += k1 * residual;
+            axis.p00 = (1 - k0) * p00;
+            axis.p01 = (1 - k0) * p01;
+            axis.p11 = p11 - k1 * p01;
+            
+            return axis.position;
+        });
+    }
+}
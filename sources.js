@@ -0,0 +1,208 @@
+// Input sources for the detection pipeline
+// Every source exposes the element the model reads frames from, its frame
+// size, start() which resolves once the first frame can be read, and stop().
+
+// Resolves on the given media event, rejects on the element's error event
+function waitForMediaEvent(element, eventName) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error('Unable to read media'));
+        };
+        const cleanup = () => {
+            element.removeEventListener(eventName, onEvent);
+            element.removeEventListener('error', onError);
+        };
+        
+        element.addEventListener(eventName, onEvent);
+        element.addEventListener('error', onError);
+    });
+}
+
+class CameraSource {
+    constructor(videoElement, stream) {
+        this.kind = 'camera';
+        this.element = videoElement;
+        this.stream = stream;
+        this.label = stream.getVideoTracks()[0]?.label || 'Camera';
+    }
+    
+    get width() {
+        return this.element.videoWidth;
+    }
+    
+    get height() {
+        return this.element.videoHeight;
+    }
+    
+    async start() {
+        const ready = waitForMediaEvent(this.element, 'loadedmetadata');
+        this.element.removeAttribute('src');
+        this.element.srcObject = this.stream;
+        await ready;
+    }
+    
+    stop() {
+        this.stream.getTracks().forEach(track => track.stop());
+        if (this.element.srcObject === this.stream) {
+            this.element.srcObject = null;
+        }
+    }
+}
+
+class VideoFileSource {
+    constructor(videoElement, file) {
+        this.kind = 'video';
+        this.element = videoElement;
+        this.file = file;
+        this.label = file.name;
+        this.url = null;
+        
+        // Browsers don't expose a file's frame rate, so frame stepping
+        // assumes 30 fps
+        this.frameDuration = 1 / 30;
+    }
+    
+    get width() {
+        return this.element.videoWidth;
+    }
+    
+    get height() {
+        return this.element.videoHeight;
+    }
+    
+    get duration() {
+        return this.element.duration || 0;
+    }
+    
+    get currentTime() {
+        return this.element.currentTime;
+    }
+    
+    get paused() {
+        return this.element.paused;
+    }
+    
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        
+        const ready = waitForMediaEvent(this.element, 'loadeddata');
+        this.element.srcObject = null;
+        this.element.loop = false;
+        this.element.src = this.url;
+        await ready;
+    }
+    
+    stop() {
+        this.element.pause();
+        this.element.removeAttribute('src');
+        this.element.load();
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+    
+    async togglePlayback() {
+        if (this.element.paused) {
+            await this.element.play();
+            return;
+        }
+        this.element.pause();
+    }
+    
+    seek(time) {
+        this.element.currentTime = Math.min(this.duration, Math.max(0, time));
+    }
+    
+    step(frames) {
+        this.element.pause();
+        this.seek(this.element.currentTime + frames * this.frameDuration);
+    }
+}
+
+class ImageSource {
+    constructor(imageElement, file) {
+        this.kind = 'image';
+        this.element = imageElement;
+        this.file = file;
+        this.label = file.name;
+        this.url = null;
+    }
+    
+    get width() {
+        return this.element.naturalWidth;
+    }
+    
+    get height() {
+        return this.element.naturalHeight;
+    }
+    
+    start() {
+        return this.show(this.file);
+    }
+    
+    async show(file) {
+        const previousUrl = this.url;
+        this.file = file;
+        this.label = file.name;
+        this.url = URL.createObjectURL(file);
+        
+        const ready = waitForMediaEvent(this.element, 'load');
+        this.element.src = this.url;
+        await ready;
+        
+        if (previousUrl) {
+            URL.revokeObjectURL(previousUrl);
+        }
+    }
+    
+    stop() {
+        this.element.removeAttribute('src');
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+// A set of images (multi-select or folder) shown one at a time
+class ImageBatchSource extends ImageSource {
+    constructor(imageElement, files) {
+        super(imageElement, files[0]);
+        this.kind = 'batch';
+        this.files = files;
+        this.index = 0;
+    }
+    
+    showIndex(index) {
+        this.index = index;
+        return this.show(this.files[index]);
+    }
+}
+
+// Picks a source for a set of user-provided files: a video wins, a single
+// image is shown as-is and several images become a batch
+function createFileSource(files, { videoElement, imageElement }) {
+    const list = Array.from(files);
+    const video = list.find(file => file.type.startsWith('video/'));
+    if (video) {
+        return new VideoFileSource(videoElement, video);
+    }
+    
+    const images = list
+        .filter(file => file.type.startsWith('image/'))
+        .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+    
+    if (images.length === 0) {
+        return null;
+    }
+    if (images.length === 1) {
+        return new ImageSource(imageElement, images[0]);
+    }
+    return new ImageBatchSource(imageElement, images);
+}
@@ -0,0 +1,177 @@
+// Outbound detection stream
+// Queues messages and sends them in batches, either over a WebSocket or as
+// webhook POSTs. Batches are JSON objects { sentAt, messages }. Messages
+// stay queued while the socket is down and failed webhook POSTs are retried
+// with exponential backoff; the oldest messages are dropped once the queue
+// is full. WebSocket delivery is at-most-once: a batch handed to the socket
+// but still in the browser's send buffer is lost if the connection drops.
+
+// Serializable form of a tracked detection
+function detectionPayload(detection) {
+    return {
+        trackId: detection.trackId,
+        class: detection.class,
+        score: Math.round(detection.score * 1000) / 1000,
+        bbox: detection.bbox.map(value => Math.round(value))
+    };
+}
+
+class DetectionStreamer {
+    constructor(options = {}) {
+        // Called with 'off', 'connecting', 'connected', 'retrying', or
+        // 'error' when the URL can't be used at all
+        this.onStatus = options.onStatus || (() => {});
+        
+        this.maxQueue = options.maxQueue || 1000;
+        this.maxBatch = options.maxBatch || 100;
+        this.minRetryDelay = options.minRetryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        
+        this.mode = 'off';
+        this.url = '';
+        this.batchInterval = 1000;
+        this.status = 'off';
+        this.queue = [];
+        this.dropped = 0;
+        
+        this.socket = null;
+        this.sending = false;
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.retryDelay = this.minRetryDelay;
+        this.retryAt = 0;
+    }
+    
+    // mode: 'off' | 'websocket' | 'webhook'; batchInterval in ms
+    configure({ mode, url, batchInterval }) {
+        const endpointChanged = mode !== this.mode || url !== this.url;
+        this.mode = mode;
+        this.url = url;
+        this.batchInterval = batchInterval;
+        
+        if (endpointChanged) {
+            this.disconnect();
+            this.queue = [];
+            this.dropped = 0;
+            if (this.enabled) {
+                this.connect();
+            }
+        }
+        
+        clearInterval(this.flushTimer);
+        this.flushTimer = this.enabled ? setInterval(() => this.flush(), this.batchInterval) : null;
+    }
+    
+    get enabled() {
+        return this.mode !== 'off' && Boolean(this.url);
+    }
+    
+    send(message) {
+        if (!this.enabled) return;
+        
+        this.queue.push(message);
+        if (this.queue.length > this.maxQueue) {
+            this.dropped += this.queue.length - this.maxQueue;
+            this.queue.splice(0, this.queue.length - this.maxQueue);
+        }
+    }
+    
+    connect() {
+        this.retryDelay = this.minRetryDelay;
+        this.retryAt = 0;
+        this.setStatus('connecting');
+        if (this.mode === 'websocket') {
+            this.openSocket();
+        }
+    }
+    
+    openSocket() {
+        this.retryTimer = null;
+        
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            // Malformed URL; retrying won't help until it is changed
+            console.error('Invalid WebSocket URL:', error);
+            this.setStatus('error');
+            return;
+        }
+        
+        socket.onopen = () => {
+            this.retryDelay = this.minRetryDelay;
+            this.setStatus('connected');
+            this.flush();
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            this.setStatus('retrying');
+            this.retryTimer = setTimeout(() => this.openSocket(), this.retryDelay);
+            this.retryDelay = Math.min(this.maxRetryDelay, this.retryDelay * 2);
+        };
+        this.socket = socket;
+    }
+    
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setStatus('off');
+    }
+    
+    async flush() {
+        if (this.sending || this.queue.length === 0) return;
+        
+        if (this.mode === 'websocket') {
+            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+            
+            while (this.queue.length > 0) {
+                const messages = this.queue.splice(0, this.maxBatch);
+                this.socket.send(JSON.stringify({ sentAt: Date.now(), messages }));
+            }
+            return;
+        }
+        
+        if (Date.now() < this.retryAt) return;
+        
+        const url = this.url;
+        const messages = this.queue.slice(0, this.maxBatch);
+        this.sending = true;
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sentAt: Date.now(), messages })
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status}`);
+            }
+            
+            // The endpoint may have changed while the request was out
+            if (url === this.url) {
+                this.queue.splice(0, messages.length);
+                this.retryDelay = this.minRetryDelay;
+                this.setStatus('connected');
+            }
+        } catch (error) {
+            if (url === this.url) {
+                console.warn('Webhook delivery failed:', error);
+                this.retryAt = Date.now() + this.retryDelay;
+                this.retryDelay = Math.min(this.maxRetryDelay, this.retryDelay * 2);
+                this.setStatus('retrying');
+            }
+        } finally {
+            this.sending = false;
+        }
+    }
+    
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.onStatus(status);
+    }
+}
@@ -0,0 +1,74 @@
+// Service worker for offline use
+// Libraries and model weights never change at a given URL, so they are
+// served cache-first. App files are fetched network-first so edits show up
+// as soon as the server is reachable, with the cached copy as fallback.
+importScripts('config.js', 'assets.js');
+
+const CACHE_NAME = 'object-detection-v1';
+
+self.addEventListener('install', (e) => {
+    // Precaching the libraries is best effort; weights are cached the first
+    // time a model loads
+    e.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.allSettled(libraryUrls().map(url => cache.add(url))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    
+    e.respondWith(isImmutableAsset(request.url) ? cacheFirst(request) : networkFirst(request));
+});
+
+function isImmutableAsset(url) {
+    if (new URL(url).origin !== self.location.origin) {
+        return true;
+    }
+    return Boolean(APP_CONFIG.assetPath) && url.startsWith(assetUrl(APP_CONFIG.assetPath));
+}
+
+async function cacheFirst(request) {
+    // An opaque copy can't answer a CORS request such as a weight fetch
+    const cached = await caches.match(request);
+    if (cached && !(cached.type === 'opaque' && request.mode === 'cors')) {
+        return cached;
+    }
+    
+    const response = await fetch(request);
+    await store(request, response);
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        await store(request, response);
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Script tags load CDN files without CORS, which gives opaque responses;
+// those are cached too since their status can't be checked
+async function store(request, response) {
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+}
@@ -0,0 +1,144 @@
+const { loadApp, loadScripts, prediction, waitFor } = require('./helpers/app-harness');
+
+describe('AnnotationEditor', () => {
+    let page;
+    let editor;
+    
+    beforeAll(() => {
+        page = loadScripts(['utils.js', 'recorder.js', 'annotation-editor.js']);
+    });
+    
+    afterAll(() => page.close());
+    
+    beforeEach(() => {
+        editor = page.evaluate('new AnnotationEditor()');
+        editor.begin([
+            { class: 'person', score: 0.9, bbox: [100, 100, 50, 100], trackId: 1 },
+            { class: 'dog', score: 0.7, bbox: [300, 200, 80, 60], trackId: 2 }
+        ], 640, 480);
+    });
+    
+    function drag(from, to, className = 'cat') {
+        editor.pointerDown(from, className, 8);
+        editor.pointerMove(to);
+        editor.pointerUp();
+    }
+    
+    test('starts from the detections without their scores', () => {
+        expect(editor.boxes).toEqual([
+            { class: 'person', bbox: [100, 100, 50, 100] },
+            { class: 'dog', bbox: [300, 200, 80, 60] }
+        ]);
+    });
+    
+    test('moves a box within the frame', () => {
+        drag([120, 150], [140, 130]);
+        expect(editor.boxes[0].bbox).toEqual([120, 80, 50, 100]);
+        
+        drag([340, 230], [1000, 230]);
+        expect(editor.boxes[1].bbox).toEqual([560, 200, 80, 60]);
+    });
+    
+    test('resizes a box by its corners and flips it when dragged past the opposite one', () => {
+        drag([152, 198], [200, 250]);
+        expect(editor.boxes[0].bbox).toEqual([100, 100, 98, 152]);
+        
+        drag([100, 100], [250, 300]);
+        expect(editor.boxes[0].bbox).toEqual([198, 252, 52, 48]);
+    });
+    
+    test('draws a missing box of the chosen class and drops stray clicks', () => {
+        drag([10, 10], [60, 40], 'cat');
+        expect(editor.boxes[2]).toEqual({ class: 'cat', bbox: [10, 10, 50, 30] });
+        expect(editor.selected).toBe(2);
+        
+        drag([500, 400], [502, 401], 'cat');
+        expect(editor.boxes).toHaveLength(3);
+        expect(editor.selected).toBe(-1);
+    });
+    
+    test('deletes and relabels the selected box', () => {
+        expect(editor.deleteSelected()).toBe(false);
+        
+        drag([320, 220], [320, 220]);
+        expect(editor.setSelectedClass('cat')).toBe(true);
+        expect(editor.boxes[1].class).toBe('cat');
+        
+        drag([120, 150], [120, 150]);
+        expect(editor.deleteSelected()).toBe(true);
+        expect(editor.boxes.map(box => box.class)).toEqual(['cat']);
+    });
+    
+    test('saves numbered frames that build a COCO dataset', () => {
+        editor.saveFrame(Promise.resolve(null));
+        editor.saveFrame(Promise.resolve(null));
+        
+        const dataset = page.window.buildCocoDataset(editor.frames, ['person', 'dog'], {});
+        
+        expect(editor.frames.map(frame => frame.fileName)).toEqual(['frame_000001.jpg', 'frame_000002.jpg']);
+        expect(dataset.images[0]).toMatchObject({ file_name: 'frame_000001.jpg', width: 640, height: 480 });
+        expect(dataset.annotations).toHaveLength(4);
+        expect(dataset.annotations[1]).toMatchObject({ category_id: 2, bbox: [300, 200, 80, 60] });
+        expect(dataset.annotations[1].score).toBeUndefined();
+    });
+    
+    test('writes YOLO labels as normalized centers and sizes', () => {
+        const labels = page.window.buildYoloLabels([
+            { class: 'dog', bbox: [300, 200, 80, 60] },
+            { class: 'unicorn', bbox: [0, 0, 10, 10] }
+        ], 640, 480, ['person', 'dog']);
+        
+        expect(labels).toBe('1 0.531250 0.479167 0.125000 0.125000\n');
+        expect(page.window.buildYoloDataConfig(['person', 'traffic light']))
+            .toBe('path: .\ntrain: images\nval: images\nnames:\n  0: "person"\n  1: "traffic light"\n');
+    });
+});
+
+describe('annotation mode', () => {
+    let harness;
+    
+    beforeEach(async () => {
+        harness = await loadApp();
+        harness.app.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 640, height: 480 });
+    });
+    
+    afterEach(() => harness.close());
+    
+    function pointer(type, x, y) {
+        harness.app.canvas.dispatchEvent(new harness.window.MouseEvent(type, { clientX: x, clientY: y }));
+    }
+    
+    test('edits the paused frame and adds it to the dataset', async () => {
+        const { app, model, document } = harness;
+        model.predictions = [prediction('person', 0.9, [100, 100, 50, 100])];
+        await app.toggleDetection();
+        await waitFor(() => app.currentDetections.length === 1);
+        
+        document.getElementById('startAnnotation').click();
+        
+        expect(app.isDetecting).toBe(false);
+        expect(app.toggleButton.disabled).toBe(true);
+        expect(app.annotationEditor.boxes).toEqual([{ class: 'person', bbox: [100, 100, 50, 100] }]);
+        
+        // Move the box, then add a missing one of the chosen class
+        pointer('pointerdown', 120, 150);
+        pointer('pointermove', 140, 150);
+        pointer('pointerup', 140, 150);
+        app.annotationClassSelect.value = 'dog';
+        pointer('pointerdown', 300, 200);
+        pointer('pointermove', 380, 260);
+        pointer('pointerup', 380, 260);
+        
+        expect(app.annotationEditor.boxes).toEqual([
+            { class: 'person', bbox: [120, 100, 50, 100] },
+            { class: 'dog', bbox: [300, 200, 80, 60] }
+        ]);
+        
+        document.getElementById('saveAnnotationFrame').click();
+        
+        expect(app.annotationEditor.active).toBe(false);
+        expect(app.annotationEditor.frames[0].annotations).toHaveLength(2);
+        expect(document.getElementById('datasetStatus').textContent).toBe('1 frame · 2 boxes');
+        expect(document.getElementById('exportDataset').disabled).toBe(false);
+    });
+});
@@ -0,0 +1,90 @@
+const { loadApp, cameraError, fakeStream, waitFor } = require('./helpers/app-harness');
+
+describe('initializeCamera', () => {
+    let harness;
+    
+    afterEach(() => harness.close());
+    
+    function overlay() {
+        const { document } = harness;
+        return {
+            visible: !document.getElementById('cameraOverlay').classList.contains('hidden'),
+            error: !document.getElementById('errorMessage').classList.contains('hidden'),
+            text: document.getElementById('errorText').textContent
+        };
+    }
+    
+    function cameraStatus() {
+        return harness.document.getElementById('cameraStatus').textContent;
+    }
+    
+    test('shows the camera once it opens', async () => {
+        harness = await loadApp();
+        
+        expect(harness.app.source.kind).toBe('camera');
+        expect(harness.app.sourceReady).toBe(true);
+        expect(harness.app.canvas.width).toBe(640);
+        expect(harness.app.canvas.height).toBe(480);
+        expect(overlay().visible).toBe(false);
+        expect(cameraStatus()).toBe('Camera: Live');
+    });
+    
+    test.each([
+        ['NotAllowedError', 'Unable to access camera. Please grant camera permission and try again.'],
+        ['NotFoundError', 'Unable to access camera. No camera device found.'],
+        ['NotReadableError', 'Unable to access camera. Camera is already in use by another application.']
+    ])('reports %s', async (name, message) => {
+        harness = await loadApp({
+            getUserMedia: async () => {
+                throw cameraError(name);
+            }
+        });
+        
+        expect(harness.app.camera.state).toBe('error');
+        expect(harness.app.camera.error.name).toBe(name);
+        expect(overlay()).toEqual({ visible: true, error: true, text: message });
+        expect(cameraStatus()).toBe('Camera: Error');
+    });
+    
+    test('gives up when the camera does not answer', async () => {
+        harness = await loadApp({
+            getUserMedia: () => new Promise(() => {}),
+            cameraTimeout: 50
+        });
+        
+        expect(harness.app.camera.state).toBe('error');
+        expect(overlay()).toEqual({
+            visible: true,
+            error: true,
+            text: 'Unable to access camera. Camera access timeout'
+        });
+    });
+    
+    test('reports a missing camera API', async () => {
+        harness = await loadApp({ cameraApi: false });
+        
+        expect(harness.app.camera.state).toBe('error');
+        expect(overlay().text).toBe('Unable to access camera. Camera API not supported in this browser');
+    });
+    
+    test('Retry opens the camera after an error', async () => {
+        let attempts = 0;
+        harness = await loadApp({
+            getUserMedia: async () => {
+                attempts++;
+                if (attempts === 1) {
+                    throw cameraError('NotReadableError');
+                }
+                return fakeStream();
+            }
+        });
+        expect(overlay().error).toBe(true);
+        
+        harness.document.getElementById('retryButton').click();
+        await waitFor(() => harness.app.camera.state === 'live');
+        
+        expect(attempts).toBe(2);
+        expect(overlay().visible).toBe(false);
+        expect(cameraStatus()).toBe('Camera: Live');
+    });
+});
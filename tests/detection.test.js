@@ -0,0 +1,94 @@
+const { loadApp, prediction, waitFor } = require('./helpers/app-harness');
+
+describe('detectFrame', () => {
+    let harness;
+    
+    beforeEach(async () => {
+        harness = await loadApp();
+    });
+    
+    afterEach(() => harness.close());
+    
+    // Runs one live frame with the given model output
+    async function detect(predictions) {
+        const { app, model } = harness;
+        model.predictions = predictions;
+        app.isDetecting = true;
+        try {
+            await app.detectFrame();
+        } finally {
+            app.isDetecting = false;
+        }
+        return app.currentDetections;
+    }
+    
+    function setInput(id, value, eventName) {
+        const input = harness.document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new harness.window.Event(eventName));
+    }
+    
+    test('drops predictions below the confidence threshold', async () => {
+        const detections = await detect([
+            prediction('person', 0.9, [0, 0, 50, 50]),
+            prediction('cup', 0.4, [100, 100, 50, 50]),
+            prediction('dog', 0.55, [200, 200, 50, 50])
+        ]);
+        
+        expect(detections.map(detection => detection.class)).toEqual(['person', 'dog']);
+    });
+    
+    test('follows the confidence slider', async () => {
+        setInput('confidenceSlider', '0.7', 'input');
+        
+        const detections = await detect([
+            prediction('person', 0.9, [0, 0, 50, 50]),
+            prediction('dog', 0.55, [200, 200, 50, 50])
+        ]);
+        
+        expect(harness.app.settings.confidenceThreshold).toBe(0.7);
+        expect(detections.map(detection => detection.class)).toEqual(['person']);
+    });
+    
+    test('keeps at most maxDetections, best scores first', async () => {
+        setInput('maxDetectionsInput', '2', 'change');
+        
+        const detections = await detect([
+            prediction('person', 0.6, [0, 0, 50, 50]),
+            prediction('car', 0.95, [100, 0, 50, 50]),
+            prediction('dog', 0.8, [200, 0, 50, 50]),
+            prediction('cup', 0.7, [300, 0, 50, 50])
+        ]);
+        
+        expect(harness.app.settings.maxDetections).toBe(2);
+        expect(detections.map(detection => detection.class)).toEqual(['car', 'dog']);
+    });
+    
+    test('reports nothing while detection is stopped', async () => {
+        const { app, model } = harness;
+        model.predictions = [prediction('person', 0.9)];
+        
+        await app.detectFrame();
+        
+        expect(model.calls).toHaveLength(0);
+        expect(app.currentDetections).toEqual([]);
+    });
+    
+    test('keeps dwell times of live tracks only', async () => {
+        const { app, model } = harness;
+        
+        // A single-frame detection, as on a seek or batch image
+        model.predictions = [prediction('dog', 0.9, [200, 200, 50, 50])];
+        await app.runDetection();
+        
+        model.predictions = [prediction('person', 0.9, [0, 0, 50, 50])];
+        await app.toggleDetection();
+        await waitFor(() => app.currentDetections.some(detection => detection.class === 'person'));
+        
+        // Switching to a new camera stream stops detection and ends its tracks
+        await app.initializeCamera();
+        
+        expect(app.analytics.averageDwell('person')).not.toBeNull();
+        expect(app.analytics.averageDwell('dog')).toBeNull();
+    });
+});
@@ -0,0 +1,92 @@
+const { loadApp, prediction } = require('./helpers/app-harness');
+
+describe('detection results', () => {
+    let harness;
+    
+    beforeEach(async () => {
+        harness = await loadApp();
+    });
+    
+    afterEach(() => harness.close());
+    
+    async function detect(predictions) {
+        const { app, model } = harness;
+        model.predictions = predictions;
+        app.isDetecting = true;
+        try {
+            await app.detectFrame();
+        } finally {
+            app.isDetecting = false;
+        }
+    }
+    
+    function listItems() {
+        return [...harness.document.querySelectorAll('#detectedObjectsList .detected-object-item')].map(item => ({
+            name: item.querySelector('.object-name').textContent,
+            tracks: item.querySelector('.object-tracks').textContent,
+            confidence: item.querySelector('.object-confidence').textContent
+        }));
+    }
+    
+    function classBadge(className) {
+        return harness.document.querySelector(`#cocoClassesList [data-class="${className}"] .class-count`);
+    }
+    
+    const frame = [
+        prediction('person', 0.9, [0, 0, 50, 100]),
+        prediction('person', 0.7, [200, 0, 50, 100]),
+        prediction('dog', 0.6, [400, 300, 80, 60])
+    ];
+    
+    test('starts with an empty list', () => {
+        expect(listItems()).toEqual([]);
+        expect(harness.document.querySelector('#detectedObjectsList .no-detections').textContent)
+            .toBe('No objects detected');
+    });
+    
+    test('groups detections by class with their count, tracks and best score', async () => {
+        await detect(frame);
+        
+        const items = listItems();
+        expect(items.map(item => item.name)).toEqual(['person (2)', 'dog (1)']);
+        expect(items[0].confidence).toBe('90%');
+        expect(items[1].confidence).toBe('60%');
+        expect(items[0].tracks).toMatch(/^#\d+ .+, #\d+ .+$/);
+        expect(items[1].tracks).toMatch(/^#\d+ /);
+    });
+    
+    test('updates the class count badges', async () => {
+        await detect(frame);
+        
+        expect(harness.app.classCounts.person).toBe(2);
+        expect(harness.app.classCounts.dog).toBe(1);
+        expect(harness.app.classCounts.cup).toBe(0);
+        expect(classBadge('person').textContent).toBe('2');
+        expect(classBadge('person').classList.contains('zero')).toBe(false);
+        expect(classBadge('cup').textContent).toBe('0');
+        expect(classBadge('cup').classList.contains('zero')).toBe(true);
+        
+        // Objects that leave the frame are no longer counted
+        await detect([prediction('dog', 0.6, [400, 300, 80, 60])]);
+        expect(classBadge('person').textContent).toBe('0');
+        expect(classBadge('dog').textContent).toBe('1');
+    });
+    
+    test('clearDetections empties the list, counts and statistics', async () => {
+        await detect(frame);
+        expect(harness.app.stats.totalDetections).toBe(3);
+        expect(harness.app.stats.activeObjects).toBe(3);
+        
+        harness.document.getElementById('clearDetections').click();
+        
+        const { app, document } = harness;
+        expect(app.currentDetections).toEqual([]);
+        expect(app.rawDetections).toEqual([]);
+        expect(app.tracker.tracks.size).toBe(0);
+        expect(listItems()).toEqual([]);
+        expect(classBadge('person').textContent).toBe('0');
+        expect(app.stats.totalDetections).toBe(0);
+        expect(document.getElementById('totalDetections').textContent).toBe('0');
+        expect(document.getElementById('activeObjects').textContent).toBe('0');
+    });
+});
@@ -0,0 +1,228 @@
+const { loadScripts } = require('./helpers/app-harness');
+
+describe('evaluation', () => {
+    let page;
+    let evaluation;
+    
+    beforeAll(() => {
+        page = loadScripts(['utils.js', 'evaluation.js']);
+        evaluation = page.evaluate(`({
+            parseCocoGroundTruth, parseVocGroundTruth, evaluateDetections,
+            confidenceSweep, confusionMatrix, COCO_IOU_THRESHOLDS
+        })`);
+    });
+    
+    afterAll(() => page.close());
+    
+    const box = (className, bbox) => ({ class: className, bbox });
+    const detection = (className, score, bbox) => ({ class: className, score, bbox });
+    
+    function classResult(result, className) {
+        return result.classes.find(entry => entry.class === className);
+    }
+    
+    describe('evaluateDetections', () => {
+        test('scores exact matches as perfect', () => {
+            const images = [{
+                groundTruth: [box('person', [0, 0, 100, 200]), box('dog', [300, 300, 80, 60])],
+                detections: [detection('person', 0.9, [0, 0, 100, 200]), detection('dog', 0.8, [300, 300, 80, 60])]
+            }];
+            
+            const result = evaluation.evaluateDetections(images);
+            
+            expect(result.map).toBe(1);
+            expect(result.precision).toBe(1);
+            expect(result.recall).toBe(1);
+            expect(classResult(result, 'person')).toMatchObject({ groundTruth: 1, tp: 1, fp: 0, fn: 0, ap: 1 });
+        });
+        
+        test('counts a second detection of the same object as a false positive', () => {
+            const images = [{
+                groundTruth: [box('person', [0, 0, 100, 200])],
+                detections: [detection('person', 0.9, [0, 0, 100, 200]), detection('person', 0.6, [5, 5, 100, 200])]
+            }];
+            
+            const result = evaluation.evaluateDetections(images);
+            
+            expect(classResult(result, 'person')).toMatchObject({ tp: 1, fp: 1, fn: 0, precision: 0.5, recall: 1 });
+            // The false positive ranks below the match, so AP is unaffected
+            expect(classResult(result, 'person').ap).toBe(1);
+        });
+        
+        test('leaves out ignored boxes and the detections on them', () => {
+            const images = [{
+                groundTruth: [box('person', [0, 0, 100, 200]), { ...box('person', [300, 0, 200, 200]), ignore: true }],
+                detections: [detection('person', 0.9, [0, 0, 100, 200]), detection('person', 0.8, [310, 10, 180, 180])]
+            }];
+            
+            const result = evaluation.evaluateDetections(images);
+            
+            expect(classResult(result, 'person')).toMatchObject({ groundTruth: 1, tp: 1, fp: 0, fn: 0, ap: 1 });
+            expect(evaluation.confusionMatrix(images).matrix).toEqual([[1, 0], [0, 0]]);
+        });
+        
+        test('matches crowd boxes by how much of the detection they cover', () => {
+            const person = box('person', [500, 0, 100, 200]);
+            const crowd = { ...box('person', [0, 0, 400, 400]), ignore: true, crowd: true };
+            const difficult = { ...box('person', [0, 0, 400, 400]), ignore: true };
+            // A small detection well inside the large box: IoU 0.02, fully covered
+            const detections = [detection('person', 0.9, [500, 0, 100, 200]), detection('person', 0.8, [100, 100, 40, 80])];
+            
+            const onCrowd = evaluation.evaluateDetections([{ groundTruth: [person, crowd], detections }]);
+            const onDifficult = evaluation.evaluateDetections([{ groundTruth: [person, difficult], detections }]);
+            
+            expect(classResult(onCrowd, 'person')).toMatchObject({ groundTruth: 1, tp: 1, fp: 0 });
+            expect(classResult(onDifficult, 'person')).toMatchObject({ groundTruth: 1, tp: 1, fp: 1 });
+        });
+        
+        test('computes AP as the area under the interpolated precision/recall curve', () => {
+            const images = [
+                {
+                    groundTruth: [box('car', [0, 0, 50, 50])],
+                    detections: [detection('car', 0.9, [0, 0, 50, 50]), detection('car', 0.8, [200, 200, 50, 50])]
+                },
+                {
+                    groundTruth: [box('car', [0, 0, 50, 50])],
+                    detections: [detection('car', 0.7, [0, 0, 50, 50])]
+                }
+            ];
+            
+            // Ranked: hit, miss, hit. Recall reaches 0.5 at precision 1 and
+            // 1 at precision 2/3.
+            const result = evaluation.evaluateDetections(images);
+            expect(classResult(result, 'car').ap).toBeCloseTo(0.5 + 0.5 * (2 / 3), 10);
+        });
+        
+        test('applies the IoU threshold', () => {
+            // IoU of these boxes is 0.6
+            const images = [{
+                groundTruth: [box('cat', [0, 0, 100, 100])],
+                detections: [detection('cat', 0.9, [0, 0, 100, 60])]
+            }];
+            
+            expect(evaluation.evaluateDetections(images, { iouThresholds: [0.5] }).map).toBe(1);
+            expect(evaluation.evaluateDetections(images, { iouThresholds: [0.75] }).map).toBe(0);
+            
+            // 0.5, 0.55 and 0.6 of the ten COCO thresholds accept the match
+            const coco = evaluation.evaluateDetections(images, { iouThresholds: evaluation.COCO_IOU_THRESHOLDS });
+            expect(coco.map).toBeCloseTo(0.3, 10);
+        });
+        
+        test('counts at the confidence threshold and leaves AP to all scores', () => {
+            const images = [{
+                groundTruth: [box('person', [0, 0, 100, 200]), box('person', [300, 0, 100, 200])],
+                detections: [detection('person', 0.9, [0, 0, 100, 200]), detection('person', 0.3, [300, 0, 100, 200])]
+            }];
+            
+            const result = evaluation.evaluateDetections(images, { minScore: 0.5 });
+            
+            expect(result).toMatchObject({ tp: 1, fp: 0, fn: 1, precision: 1, recall: 0.5 });
+            expect(result.map).toBe(1);
+        });
+        
+        test('reports classes that were only detected without AP', () => {
+            const images = [{
+                groundTruth: [box('person', [0, 0, 100, 200])],
+                detections: [detection('dog', 0.9, [0, 0, 100, 200])]
+            }];
+            
+            const result = evaluation.evaluateDetections(images);
+            
+            expect(classResult(result, 'dog')).toMatchObject({ groundTruth: 0, fp: 1, ap: null });
+            expect(classResult(result, 'person')).toMatchObject({ groundTruth: 1, fn: 1, ap: 0 });
+            expect(result.map).toBe(0);
+        });
+    });
+    
+    test('confidenceSweep trades recall for precision', () => {
+        const images = [{
+            groundTruth: [box('person', [0, 0, 100, 200]), box('person', [300, 0, 100, 200])],
+            detections: [
+                detection('person', 0.9, [0, 0, 100, 200]),
+                detection('person', 0.4, [300, 0, 100, 200]),
+                detection('person', 0.2, [600, 0, 100, 200])
+            ]
+        }];
+        
+        const sweep = evaluation.confidenceSweep(images, { thresholds: [0.1, 0.3, 0.5] });
+        
+        expect(sweep.map(({ threshold, tp, fp, fn }) => ({ threshold, tp, fp, fn }))).toEqual([
+            { threshold: 0.1, tp: 2, fp: 1, fn: 0 },
+            { threshold: 0.3, tp: 2, fp: 0, fn: 0 },
+            { threshold: 0.5, tp: 1, fp: 0, fn: 1 }
+        ]);
+        expect(sweep[1].f1).toBe(1);
+    });
+    
+    test('confusionMatrix separates confusions, misses and false alarms', () => {
+        const images = [{
+            groundTruth: [
+                box('person', [0, 0, 100, 200]),
+                box('dog', [300, 300, 80, 60]),
+                box('cat', [500, 0, 50, 50])
+            ],
+            detections: [
+                detection('person', 0.9, [0, 0, 100, 200]),
+                detection('cat', 0.8, [300, 300, 80, 60]),
+                detection('car', 0.7, [700, 400, 100, 50])
+            ]
+        }];
+        
+        const { labels, matrix } = evaluation.confusionMatrix(images);
+        const cell = (actual, predicted) => matrix[labels.indexOf(actual)][labels.indexOf(predicted)];
+        
+        expect(labels).toEqual(['car', 'cat', 'dog', 'person', 'background']);
+        expect(cell('person', 'person')).toBe(1);
+        expect(cell('dog', 'cat')).toBe(1);
+        expect(cell('cat', 'background')).toBe(1);
+        expect(cell('background', 'car')).toBe(1);
+        expect(matrix.flat().reduce((sum, count) => sum + count, 0)).toBe(4);
+    });
+    
+    test('parseCocoGroundTruth maps file names to boxes', () => {
+        const groundTruth = evaluation.parseCocoGroundTruth({
+            images: [
+                { id: 1, file_name: 'frames/a.jpg' },
+                { id: 2, file_name: 'b.jpg' }
+            ],
+            annotations: [
+                { id: 1, image_id: 1, category_id: 18, bbox: [1, 2, 3, 4], iscrowd: 0 },
+                { id: 2, image_id: 1, category_id: 1, bbox: [0, 0, 50, 50], iscrowd: 1 }
+            ],
+            categories: [{ id: 1, name: 'person' }, { id: 18, name: 'dog' }]
+        });
+        
+        expect([...groundTruth.keys()]).toEqual(['a.jpg', 'b.jpg']);
+        expect(groundTruth.get('a.jpg')).toEqual([
+            { class: 'dog', bbox: [1, 2, 3, 4] },
+            { class: 'person', bbox: [0, 0, 50, 50], ignore: true, crowd: true }
+        ]);
+        expect(groundTruth.get('b.jpg')).toEqual([]);
+        expect(() => evaluation.parseCocoGroundTruth({ images: [] })).toThrow('Not a COCO dataset');
+    });
+    
+    test('parseVocGroundTruth reads boxes and COCO class names', () => {
+        const { fileName, boxes } = evaluation.parseVocGroundTruth(`
+            <annotation>
+                <filename>000001.jpg</filename>
+                <object>
+                    <name>tvmonitor</name>
+                    <difficult>0</difficult>
+                    <bndbox><xmin>10</xmin><ymin>20</ymin><xmax>110</xmax><ymax>70</ymax></bndbox>
+                </object>
+                <object>
+                    <name>person</name>
+                    <difficult>1</difficult>
+                    <bndbox><xmin>0</xmin><ymin>0</ymin><xmax>5</xmax><ymax>5</ymax></bndbox>
+                </object>
+            </annotation>
+        `);
+        
+        expect(fileName).toBe('000001.jpg');
+        expect(boxes).toEqual([
+            { class: 'tv', bbox: [10, 20, 100, 50] },
+            { class: 'person', bbox: [0, 0, 5, 5], ignore: true }
+        ]);
+        expect(() => evaluation.parseVocGroundTruth('<notes></notes>')).toThrow('Not a Pascal VOC annotation file');
+    });
+});
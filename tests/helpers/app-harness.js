@@ -0,0 +1,222 @@
+// Loads index.html and the app scripts into a jsdom window, with a scripted
+// COCO-SSD model in place of TensorFlow.js and a fake camera in place of
+// getUserMedia, so ObjectDetectionApp runs without a browser or the CDN.
+// loadScripts() runs single modules the same way.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// COCO-SSD style prediction
+function prediction(className, score, bbox = [10, 10, 100, 100]) {
+    return { class: className, score, bbox };
+}
+
+// Stands in for a loaded cocoSsd model; set `predictions` to script the
+// next frames. Like the real model it drops boxes below minScore and
+// returns the rest best first.
+class FakeModel {
+    constructor() {
+        this.predictions = [];
+        this.calls = [];
+    }
+    
+    async detect(element, maxBoxes, minScore) {
+        this.calls.push({ maxBoxes, minScore });
+        return this.predictions
+            .filter(prediction => prediction.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxBoxes)
+            .map(prediction => ({ ...prediction, bbox: [...prediction.bbox] }));
+    }
+}
+
+function cameraError(name) {
+    return new DOMException(`${name} from the fake camera`, name);
+}
+
+function fakeStream(deviceId = 'camera-1') {
+    const track = new EventTarget();
+    track.kind = 'video';
+    track.label = 'Fake Camera';
+    track.stop = () => {};
+    track.getSettings = () => ({ deviceId, width: 640, height: 480 });
+    track.getCapabilities = () => ({ width: { max: 1280 }, height: { max: 720 }, frameRate: { max: 30 } });
+    return {
+        getVideoTracks: () => [track],
+        getTracks: () => [track]
+    };
+}
+
+// Canvas 2D context that accepts every call and draws nothing
+function fakeContext(canvas) {
+    const state = { canvas };
+    const context = new Proxy(state, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key === 'measureText') return text => ({ width: String(text).length * 7 });
+            if (key === 'getImageData') return (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) });
+            return () => context;
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        }
+    });
+    return context;
+}
+
+function installStubs(window, { model, getUserMedia, cameraApi = true }) {
+    window.tf = {
+        getBackend: () => 'cpu',
+        setBackend: async () => true,
+        ready: async () => {},
+        findBackendFactory: () => null,
+        memory: () => ({ numTensors: 0, numBytes: 0 })
+    };
+    window.cocoSsd = { load: async () => model };
+    
+    // Model weights are prefetched before the load
+    window.fetch = async () => ({
+        ok: true,
+        json: async () => ({ weightsManifest: [] })
+    });
+    
+    const contexts = new WeakMap();
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        if (!contexts.has(this)) {
+            contexts.set(this, fakeContext(this));
+        }
+        return contexts.get(this);
+    };
+    window.HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,';
+    
+    // jsdom has no pointer capture
+    window.Element.prototype.setPointerCapture = () => {};
+    
+    // A video with a stream attached reports a 640x480 frame
+    const media = window.HTMLMediaElement.prototype;
+    media.play = () => Promise.resolve();
+    media.pause = () => {};
+    Object.defineProperty(media, 'srcObject', {
+        configurable: true,
+        get() {
+            return this._srcObject || null;
+        },
+        set(stream) {
+            this._srcObject = stream;
+            if (stream) {
+                window.setTimeout(() => this.dispatchEvent(new window.Event('loadedmetadata')), 0);
+            }
+        }
+    });
+    Object.defineProperty(media, 'readyState', {
+        configurable: true,
+        get() {
+            return this._srcObject ? 4 : 0;
+        }
+    });
+    Object.defineProperty(window.HTMLVideoElement.prototype, 'videoWidth', {
+        configurable: true,
+        get() {
+            return this._srcObject ? 640 : 0;
+        }
+    });
+    Object.defineProperty(window.HTMLVideoElement.prototype, 'videoHeight', {
+        configurable: true,
+        get() {
+            return this._srcObject ? 480 : 0;
+        }
+    });
+    
+    if (!cameraApi) return;
+    
+    const mediaDevices = new window.EventTarget();
+    mediaDevices.enumerateDevices = async () => [
+        { kind: 'videoinput', deviceId: 'camera-1', label: 'Fake Camera', groupId: '' }
+    ];
+    mediaDevices.getUserMedia = getUserMedia || (async () => fakeStream());
+    Object.defineProperty(window.navigator, 'mediaDevices', { configurable: true, value: mediaDevices });
+}
+
+function runScript(context, src) {
+    const code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+    new vm.Script(code, { filename: src }).runInContext(context);
+}
+
+// Runs the given scripts in an empty page, for testing modules on their
+// own. `evaluate(code)` reads their classes and functions.
+function loadScripts(scripts) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    const context = dom.getInternalVMContext();
+    scripts.forEach(src => runScript(context, src));
+    
+    return {
+        window: dom.window,
+        evaluate: code => new vm.Script(code).runInContext(context),
+        close: () => dom.window.close()
+    };
+}
+
+async function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the app');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Starts the app the way index.html does and waits until the model has
+// loaded and the camera has opened or failed. Options:
+//   getUserMedia  replaces the fake camera
+//   cameraApi     false for a browser without navigator.mediaDevices
+//   cameraTimeout ms before a camera request is given up (default 10 s)
+async function loadApp(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/',
+        pretendToBeVisual: true,
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    const model = new FakeModel();
+    installStubs(window, { model, ...options });
+    
+    // The app is constructed below instead of by its DOMContentLoaded
+    // handler, which would also load the libraries from the CDN
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    
+    // Run as scripts rather than eval so their top-level classes and
+    // constants are shared like in the page
+    const context = dom.getInternalVMContext();
+    scripts.forEach(src => runScript(context, src));
+    
+    const app = new vm.Script('new ObjectDetectionApp()').runInContext(context);
+    if (options.cameraTimeout) {
+        app.camera.openTimeout = options.cameraTimeout;
+    }
+    await waitFor(() => app.modelLoaded && ['live', 'error'].includes(app.camera.state));
+    
+    return {
+        app,
+        model,
+        window,
+        document: window.document,
+        close: () => window.close()
+    };
+}
+
+module.exports = { loadApp, loadScripts, prediction, cameraError, fakeStream, waitFor };
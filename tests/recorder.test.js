@@ -0,0 +1,46 @@
+const { loadScripts } = require('./helpers/app-harness');
+
+describe('SessionRecorder', () => {
+    let page;
+    
+    beforeAll(() => {
+        page = loadScripts(['utils.js', 'recorder.js']);
+    });
+    
+    afterAll(() => page.close());
+    
+    function record(recorder, timestamp) {
+        recorder.record({
+            timestamp,
+            detections: [{ trackId: 1, class: 'person', score: 0.9, bbox: [0, 0, 10, 10] }],
+            width: 640,
+            height: 480,
+            source: 'Camera',
+            captureFrame: () => Promise.resolve(null)
+        });
+    }
+    
+    test('captures at most maxCaptures images, one per interval', () => {
+        const recorder = page.evaluate('new SessionRecorder({ captureInterval: 1000, maxCaptures: 2 })');
+        recorder.start(0);
+        
+        [0, 500, 1000, 2000, 3000].forEach(timestamp => record(recorder, timestamp));
+        
+        expect(recorder.frames.map(frame => frame.image)).toEqual([
+            'frame_000001.jpg', null, 'frame_000003.jpg', null, null
+        ]);
+        expect(recorder.captureDue(4000)).toBe(false);
+    });
+    
+    test('stops recording at maxFrames', () => {
+        const recorder = page.evaluate('new SessionRecorder({ maxFrames: 3 })');
+        recorder.start(0);
+        
+        [0, 10, 20, 30, 40].forEach(timestamp => record(recorder, timestamp));
+        
+        expect(recorder.frames).toHaveLength(3);
+        expect(recorder.isRecording).toBe(false);
+        expect(recorder.limitReached).toBe(true);
+        expect(recorder.duration).toBe(30);
+    });
+});
@@ -0,0 +1,144 @@
+// Cross-frame object tracker
+// Associates each frame's predictions with persistent tracks so the same
+// object keeps its ID, color and dwell time between frames.
+class ObjectTracker {
+    constructor(options = {}) {
+        this.colors = options.colors || ['#FF6B6B'];
+        
+        // Box color for a track; defaults to a palette color per track ID
+        this.colorFor = options.colorFor ||
+            (track => this.colors[(track.id - 1) % this.colors.length]);
+        
+        // Minimum overlap for a prediction to continue a track
+        this.iouThreshold = options.iouThreshold ?? 0.3;
+        
+        // Fallback when boxes don't overlap enough (fast motion): max centroid
+        // distance as a fraction of the track's box diagonal
+        this.maxCentroidDistance = options.maxCentroidDistance ?? 0.75;
+        
+        // How long an unmatched track coasts before it expires
+        this.maxCoastTime = options.maxCoastTime ?? 1000;
+        
+        // Called with each track that expires or is cleared, e.g. to
+        // collect dwell times
+        this.onTrackEnd = options.onTrackEnd || null;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.tracks = new Map();
+        this.nextId = 1;
+        this.totalTracks = 0;
+    }
+    
+    // Drop active tracks without resetting IDs or the unique object count,
+    // e.g. when the input switches to an unrelated frame
+    clearTracks() {
+        this.tracks.forEach(track => this.endTrack(track));
+        this.tracks.clear();
+    }
+    
+    update(predictions, now = Date.now()) {
+        const matches = this.associate(predictions);
+        const matchedTracks = new Set();
+        const results = [];
+        
+        predictions.forEach((prediction, index) => {
+            let track = matches.get(index);
+            
+            if (track) {
+                track.bbox = prediction.bbox;
+                track.score = prediction.score;
+                track.lastSeen = now;
+                track.hits++;
+            } else {
+                track = this.createTrack(prediction, now);
+            }
+            
+            matchedTracks.add(track.id);
+            results.push({
+                ...prediction,
+                trackId: track.id,
+                color: this.colorFor(track),
+                dwellTime: now - track.firstSeen
+            });
+        });
+        
+        // Unmatched tracks coast until they expire
+        this.tracks.forEach((track, id) => {
+            if (!matchedTracks.has(id) && now - track.lastSeen > this.maxCoastTime) {
+                this.tracks.delete(id);
+                this.endTrack(track);
+            }
+        });
+        
+        return results;
+    }
+    
+    // Greedy association: best IoU pairs first, then nearest centroids for
+    // whatever is left. Tracks only ever match predictions of their own class.
+    associate(predictions) {
+        const iouPairs = [];
+        const distancePairs = [];
+        
+        predictions.forEach((prediction, index) => {
+            const [px, py] = bboxCenter(prediction.bbox);
+            
+            this.tracks.forEach(track => {
+                if (track.class !== prediction.class) return;
+                
+                const iou = computeIoU(track.bbox, prediction.bbox);
+                if (iou >= this.iouThreshold) {
+                    iouPairs.push({ index, track, cost: -iou });
+                    return;
+                }
+                
+                const [tx, ty] = bboxCenter(track.bbox);
+                const diagonal = Math.hypot(track.bbox[2], track.bbox[3]);
+                const distance = Math.hypot(px - tx, py - ty) / diagonal;
+                if (distance <= this.maxCentroidDistance) {
+                    distancePairs.push({ index, track, cost: distance });
+                }
+            });
+        });
+        
+        const matches = new Map();
+        const usedTracks = new Set();
+        
+        [iouPairs, distancePairs].forEach(pairs => {
+            pairs
+                .sort((a, b) => a.cost - b.cost)
+                .forEach(({ index, track }) => {
+                    if (matches.has(index) || usedTracks.has(track.id)) return;
+                    matches.set(index, track);
+                    usedTracks.add(track.id);
+                });
+        });
+        
+        return matches;
+    }
+    
+    endTrack(track) {
+        if (this.onTrackEnd) {
+            this.onTrackEnd(track);
+        }
+    }
+    
+    createTrack(prediction, now) {
+        const id = this.nextId++;
+        const track = {
+            id,
+            class: prediction.class,
+            bbox: prediction.bbox,
+            score: prediction.score,
+            firstSeen: now,
+            lastSeen: now,
+            hits: 1
+        };
+        
+        this.tracks.set(id, track);
+        this.totalTracks++;
+        return track;
+    }
+}
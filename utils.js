@@ -0,0 +1,105 @@
+// Shared geometry and formatting helpers
+
+// Intersection-over-union of two [x, y, width, height] boxes
+function computeIoU(a, b) {
+    const [ax, ay, aw, ah] = a;
+    const [bx, by, bw, bh] = b;
+    
+    const left = Math.max(ax, bx);
+    const top = Math.max(ay, by);
+    const right = Math.min(ax + aw, bx + bw);
+    const bottom = Math.min(ay + ah, by + bh);
+    
+    const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+    const union = aw * ah + bw * bh - intersection;
+    
+    return union > 0 ? intersection / union : 0;
+}
+
+function bboxCenter(bbox) {
+    const [x, y, width, height] = bbox;
+    return [x + width / 2, y + height / 2];
+}
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m ${seconds % 60}s`;
+    }
+    
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// localStorage helpers; storage may be unavailable (private mode, quota)
+function loadJSON(key, fallback) {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        console.warn(`Failed to read ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+function saveJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Failed to write ${key} to storage:`, error);
+    }
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// m:ss clock for media positions given in seconds
+function formatClock(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Compact local timestamp for file names, e.g. 20240315-142530
+function fileTimestamp(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Shows an ObjectDetector 'modelstatus' event in a page's status pill
+function showModelStatus(element, { status, model, progress }) {
+    element.title = model ? model.name : '';
+    if (status === 'downloading') {
+        element.textContent = `Downloading Model ${Math.round(progress * 100)}%`;
+    } else if (status === 'ready') {
+        element.textContent = 'Model Ready';
+        element.className = 'status status--ready';
+    } else if (status === 'error') {
+        element.textContent = 'Model Load Failed';
+        element.className = 'status status--error';
+    } else {
+        element.textContent = 'Loading Model...';
+        element.className = 'status status--loading';
+    }
+}
@@ -0,0 +1,107 @@
+// Minimal ZIP archive writer (store method, no compression)
+// Enough to bundle images and annotation files into a single download.
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+    
+    // `data` may be a string, Uint8Array, ArrayBuffer or Blob
+    async add(name, data) {
+        let bytes;
+        if (typeof data === 'string') {
+            bytes = this.encoder.encode(data);
+        } else if (data instanceof Uint8Array) {
+            bytes = data;
+        } else if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        } else {
+            bytes = new Uint8Array(await data.arrayBuffer());
+        }
+        
+        this.entries.push({
+            name: this.encoder.encode(name),
+            bytes,
+            crc: crc32(bytes),
+            date: new Date()
+        });
+    }
+    
+    toBlob() {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+        
+        this.entries.forEach(entry => {
+            const { time, date } = dosDateTime(entry.date);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);              // version needed
+            local.setUint16(6, 0x0800, true);          // UTF-8 names
+            local.setUint16(8, 0, true);               // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, entry.name, entry.bytes);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);            // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.bytes.length, true);
+            central.setUint32(24, entry.bytes.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(central, entry.name);
+            
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+        
+        const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    }
+}
+
+function dosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
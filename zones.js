@@ -0,0 +1,275 @@
+// Regions of interest and tripwire line counters
+// Geometry is stored in normalized [0, 1] frame coordinates so zones survive
+// camera resolution changes; live counts are kept in memory only.
+class ZoneManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'objectDetection.zones';
+        
+        // Forget a track's last position after this long without updates
+        this.positionTimeout = options.positionTimeout ?? 5000;
+        
+        this.zones = [];
+        this.nextId = 1;
+        this.draft = null;
+        this.load();
+        this.resetCounts();
+    }
+    
+    load() {
+        const saved = loadJSON(this.storageKey, []);
+        this.zones = saved.filter(zone =>
+            (zone.type === 'polygon' && zone.points.length >= 3) ||
+            (zone.type === 'line' && zone.points.length === 2)
+        );
+        this.nextId = this.zones.reduce((max, zone) => Math.max(max, zone.id), 0) + 1;
+    }
+    
+    save() {
+        saveJSON(this.storageKey, this.zones.map(({ id, type, name, points }) => ({ id, type, name, points })));
+    }
+    
+    get polygons() {
+        return this.zones.filter(zone => zone.type === 'polygon');
+    }
+    
+    get lines() {
+        return this.zones.filter(zone => zone.type === 'line');
+    }
+    
+    resetCounts() {
+        this.occupancy = {};
+        this.crossings = {};
+        this.lastPositions = new Map();
+    }
+    
+    removeZone(id) {
+        this.zones = this.zones.filter(zone => zone.id !== id);
+        delete this.occupancy[id];
+        delete this.crossings[id];
+        this.save();
+    }
+    
+    clearZones() {
+        this.zones = [];
+        this.resetCounts();
+        this.save();
+    }
+    
+    // Drafting: polygons collect points until finished, lines finish on
+    // their second point
+    beginDraft(type) {
+        this.draft = { type, points: [], cursor: null };
+    }
+    
+    cancelDraft() {
+        this.draft = null;
+    }
+    
+    addDraftPoint(point) {
+        if (!this.draft) return false;
+        
+        this.draft.points.push(point);
+        if (this.draft.type === 'line' && this.draft.points.length === 2) {
+            return this.finishDraft();
+        }
+        return false;
+    }
+    
+    finishDraft() {
+        if (!this.draft) return false;
+        
+        const { type } = this.draft;
+        
+        // Double-clicking to finish also registers two clicks on the same spot
+        const points = this.draft.points.filter((point, index, all) =>
+            index === 0 || point[0] !== all[index - 1][0] || point[1] !== all[index - 1][1]
+        );
+        const minPoints = type === 'line' ? 2 : 3;
+        this.draft = null;
+        if (points.length < minPoints) return false;
+        
+        const sameType = this.zones.filter(zone => zone.type === type).length;
+        const id = this.nextId++;
+        this.zones.push({
+            id,
+            type,
+            name: `${type === 'line' ? 'Tripwire' : 'Zone'} ${sameType + 1}`,
+            points
+        });
+        this.save();
+        return true;
+    }
+    
+    // Detections are located by the center of their box, normalized to the frame
+    anchorOf(detection, width, height) {
+        const [cx, cy] = bboxCenter(detection.bbox);
+        return [cx / width, cy / height];
+    }
+    
+    isInsideAnyZone(detection, width, height) {
+        const anchor = this.anchorOf(detection, width, height);
+        return this.polygons.some(zone => pointInPolygon(anchor, zone.points));
+    }
+    
+    update(detections, width, height, now = Date.now()) {
+        const occupancy = {};
+        this.polygons.forEach(zone => {
+            occupancy[zone.id] = {};
+        });
+        
+        detections.forEach(detection => {
+            const anchor = this.anchorOf(detection, width, height);
+            
+            this.polygons.forEach(zone => {
+                if (pointInPolygon(anchor, zone.points)) {
+                    const counts = occupancy[zone.id];
+                    counts[detection.class] = (counts[detection.class] || 0) + 1;
+                }
+            });
+            
+            const previous = this.lastPositions.get(detection.trackId);
+            if (previous) {
+                this.lines.forEach(line => {
+                    const direction = crossingDirection(previous.anchor, anchor, line.points);
+                    if (direction) {
+                        this.recordCrossing(line.id, detection.class, direction);
+                    }
+                });
+            }
+            
+            this.lastPositions.set(detection.trackId, { anchor, time: now });
+        });
+        
+        this.lastPositions.forEach((position, trackId) => {
+            if (now - position.time > this.positionTimeout) {
+                this.lastPositions.delete(trackId);
+            }
+        });
+        
+        this.occupancy = occupancy;
+    }
+    
+    recordCrossing(lineId, className, direction) {
+        if (!this.crossings[lineId]) {
+            this.crossings[lineId] = {};
+        }
+        if (!this.crossings[lineId][className]) {
+            this.crossings[lineId][className] = { in: 0, out: 0 };
+        }
+        this.crossings[lineId][className][direction]++;
+    }
+    
+    draw(ctx, width, height) {
+        const toCanvas = ([x, y]) => [x * width, y * height];
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = '14px Arial, sans-serif';
+        
+        this.polygons.forEach(zone => {
+            const points = zone.points.map(toCanvas);
+            tracePath(ctx, points, true);
+            ctx.fillStyle = 'rgba(50, 184, 198, 0.15)';
+            ctx.fill();
+            ctx.strokeStyle = '#32B8C6';
+            ctx.stroke();
+            
+            ctx.fillStyle = '#32B8C6';
+            ctx.fillText(zone.name, points[0][0] + 4, points[0][1] + 16);
+        });
+        
+        this.lines.forEach(line => {
+            const [a, b] = line.points.map(toCanvas);
+            tracePath(ctx, [a, b], false);
+            ctx.strokeStyle = '#F8C471';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+            
+            // Arrow along the normal marks the "in" direction
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]) || 1;
+            const normal = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+            const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+            const tip = [mid[0] + normal[0] * 24, mid[1] + normal[1] * 24];
+            tracePath(ctx, [mid, tip], false);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#F8C471';
+            ctx.fillText(`${line.name} (in)`, tip[0] + 4, tip[1] + 4);
+        });
+        
+        if (this.draft && this.draft.points.length > 0) {
+            const points = this.draft.points.map(toCanvas);
+            if (this.draft.cursor) {
+                points.push(toCanvas(this.draft.cursor));
+            }
+            
+            tracePath(ctx, points, false);
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            ctx.fillStyle = '#ffffff';
+            this.draft.points.map(toCanvas).forEach(([x, y]) => {
+                ctx.fillRect(x - 3, y - 3, 6, 6);
+            });
+        }
+        
+        ctx.restore();
+    }
+}
+
+function tracePath(ctx, points, close) {
+    ctx.beginPath();
+    points.forEach(([x, y], index) => {
+        if (index === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    if (close) {
+        ctx.closePath();
+    }
+}
+
+// Ray casting point-in-polygon test
+function pointInPolygon([px, py], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        const intersects = (yi > py) !== (yj > py) &&
+            px < ((xj - xi) * (py - yi)) / (yj - yi) + xi;
+        if (intersects) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Which side of the directed line a->b the point lies on (> 0: right-hand
+// side in screen coordinates, which is the side the "in" arrow points to)
+function sideOfLine([ax, ay], [bx, by], [px, py]) {
+    return (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+}
+
+// Returns 'in', 'out' or null for a movement from p to q across a tripwire
+function crossingDirection(p, q, [a, b]) {
+    const sideP = sideOfLine(a, b, p);
+    const sideQ = sideOfLine(a, b, q);
+    if (sideP === 0 || Math.sign(sideP) === Math.sign(sideQ) || sideQ === 0) {
+        return null;
+    }
+    
+    // The movement must also cross within the tripwire's endpoints
+    const sideA = sideOfLine(p, q, a);
+    const sideB = sideOfLine(p, q, b);
+    if (Math.sign(sideA) === Math.sign(sideB)) {
+        return null;
+    }
+    
+    return sideQ > 0 ? 'in' : 'out';
+}